@@ -1,7 +1,26 @@
 'use strict';
 
 var _ = require('lodash'),
-  keystone = require('keystone');
+  keystone = require('keystone'),
+  filters = require('./lib/filters'),
+  pagination = require('./lib/pagination'),
+  openapi = require('./lib/openapi'),
+  permissions = require('./lib/permissions'),
+  errors = require('./lib/errors'),
+  conditional = require('./lib/conditional'),
+  patch = require('./lib/patch'),
+  populate = require('./lib/populate'),
+  search = require('./lib/search'),
+  aggregate = require('./lib/aggregate'),
+  formats = require('./lib/formats'),
+  history = require('./lib/history'),
+  hooks = require('./lib/hooks'),
+  feed = require('./lib/feed'),
+  adapters = require('./lib/adapters'),
+  uploads = require('./lib/uploads'),
+  batch = require('./lib/batch'),
+  atomic = require('./lib/atomic'),
+  serializers = require('./lib/serializers');
 
 /**
   <p>Example usage</p>
@@ -25,7 +44,10 @@ var _ = require('lodash'),
     create: [createMiddleware],
     update: [updateMiddleware],
     delete: [deleteMiddleware]
-  }, 'posts');
+  }, 'posts', {
+    defaultLimit: 20,
+    maxLimit: 100
+  });
 
   User.register();
 
@@ -37,19 +59,43 @@ var _ = require('lodash'),
   // Add routes to app
   keystoneRest.registerRoutes(keystone.app);
   </pre>
+  <p>List and relationship routes accept filters on any selected field,
+  see lib/filters.js for the supported operators</p>
+  <pre>
+  GET /api/users?name[prefix]=dan&createdAt[gte]=2015-01-01
+  GET /api/users?or[0][role]=admin&or[1][posts][exists]=true
+  </pre>
  */
 
 
 /**
  * @constructor
+ * @param {Object}   config             Instance options
+ * @param {String}   config.prefix      Path routes are added under ('/api')
+ * @param {Mixed}    config.middleware  Middleware run before every route, or a map of middleware for each action
+ * @param {Function} config.formatError Replaces formatError
+ * @param {Function} config.getRoles    Replaces getRoles
+ * @param {Mixed}    config.serializer  Name of the serializer responses use, or a serializer ('raw')
+ * @param {Object}   config.keystone    Keystone instance lists are registered with
+ * @param {Object}   config.mongoose    Mongoose instance, defaults to the one keystone uses
  */
-function KeystoneRest() {
+function KeystoneRest(config) {
   var self = this;
 
   // Mongoose instance attached to keystone object.
   // Assigned in addRoutes
   var mongoose;
 
+  config = config || {};
+
+
+  /**
+   * Keystone instance lists are registered with
+   * @type {Object}
+   */
+
+  self.keystone = config.keystone || keystone;
+
   /**
    * Array containing routes and handlers
    * @type {Array}
@@ -59,28 +105,290 @@ function KeystoneRest() {
 
 
   /**
-   * Send a 404 response
-   * @param  {Object} res     Express response
-   * @param  {String} message Message
+   * Path routes are added under, unless a list is added with its own prefix
+   * @type {String}
    */
-  var _send404 = function (res, message) {
-    res.status(404);
-    res.json({
-      status: 'missing',
-      message: message
-    });
+
+  self.prefix = config.prefix !== undefined ? config.prefix : '/api';
+
+
+  /**
+   * Middleware run before the middleware given to addRoutes. Either
+   * middleware for every route or a map of middleware for each action
+   * ({ list: [middleware], update: [middleware] })
+   * @type {Mixed}
+   */
+
+  self.middleware = config.middleware || {};
+
+
+  /**
+   * Serializer shaping responses of lists added without their own, either
+   * the name of a registered serializer (raw, envelope, jsonapi, hal) or a
+   * serializer, see lib/serializers
+   * @type {Mixed}
+   */
+
+  self.serializer = config.serializer || 'raw';
+
+
+  /**
+   * Number of documents populated and written at a time when streaming
+   * @type {Number}
+   */
+
+  var _streamBatch = 100;
+
+
+  /**
+   * Milliseconds between the comments that keep _events connections open
+   * @type {Number}
+   */
+
+  var _heartbeat = 30000;
+
+
+  /**
+   * Times an update with operators is tried before giving up on a document
+   * that keeps changing
+   * @type {Number}
+   */
+
+  var _atomicAttempts = 5;
+
+
+  /**
+   * Query params that control the response rather than filter it
+   * @type {Array}
+   */
+
+  var _reservedParams = ['populate', '_', 'limit', 'skip', 'sort', 'select', 'after', 'before', 'q', 'format'];
+
+
+  /**
+   * Change feeds of models added with the events option, keyed by model name
+   * @type {Object}
+   */
+
+  var _feeds = {};
+
+
+  /**
+   * Field type adapters keyed by Keystone field type name, see lib/adapters
+   * @type {Object}
+   */
+
+  var _adapters = _.clone(adapters.ADAPTERS);
+
+
+  /**
+   * Serializers keyed by name, see lib/serializers
+   * @type {Object}
+   */
+
+  var _serializers = _.clone(serializers.SERIALIZERS);
+
+
+  /**
+   * Type, path and key of each model added with addRoutes, keyed by model
+   * name. The first list added for a model is the one serializers link to.
+   * @type {Object}
+   */
+
+  var _resources = {};
+
+
+  /**
+   * Create middleware and logic of each model added with a create route,
+   * keyed by model name. Relationship routes create documents through them.
+   * @type {Object}
+   */
+
+  var _creators = {};
+
+
+  /**
+   * Customise error responses. Called with the error, the request and the
+   * response built by lib/errors ({ status, body }). Return a response to
+   * send, or nothing to pass the error on to express error handlers.
+   * @param  {Error}  err      Error raised while handling the request
+   * @param  {Object} req      Express request
+   * @param  {Object} response Default response, undefined for unexpected errors
+   * @return {Object}          Response to send
+   */
+
+  self.formatError = config.formatError || function (err, req, response) {
+    /*jslint unparam: true */
+    return response;
   };
 
 
   /**
    * Send an error response
-   * @param {Object} err Error response object
-   * @param {Object} res Express response
+   * @param {Object}   err  Error response object
+   * @param {Object}   req  Express request
+   * @param {Object}   res  Express response
+   * @param {Function} next Express next
    */
 
   var _sendError = function (err, req, res, next) {
-    /*jslint unparam: true */
-    next(err);
+    var response = self.formatError(err, req, errors.format(err));
+
+    if (!response) { return next(err); }
+
+    res.status(response.status);
+    res.json(response.body);
+  };
+
+
+  /**
+   * Send a 404 response
+   * @param {Object}   req     Express request
+   * @param {Object}   res     Express response
+   * @param {Function} next    Express next
+   * @param {String}   message Message
+   */
+
+  var _send404 = function (req, res, next, message) {
+    _sendError(errors.create(404, message), req, res, next);
+  };
+
+
+  /**
+   * Send a 400 response
+   * @param {Object}   req     Express request
+   * @param {Object}   res     Express response
+   * @param {Function} next    Express next
+   * @param {String}   message Message
+   */
+
+  var _send400 = function (req, res, next, message) {
+    _sendError(errors.create(400, message), req, res, next);
+  };
+
+
+  /**
+   * Get the Keystone fields of a model's list
+   * @param  {Model}  Model Mongoose model
+   * @return {Object}       Fields keyed by path, empty if the model isn't a Keystone list
+   */
+
+  var _getFields = function (Model) {
+    var list = self.keystone.lists ? self.keystone.lists[Model.modelName] : undefined;
+
+    return list ? list.fields : {};
+  };
+
+
+  /**
+   * Convert a request body to what a model stores: relationships to _ids,
+   * and values of Keystone field types through their adapters. File details
+   * are dropped, only uploads set them. Throws an error from lib/errors for
+   * invalid values.
+   * @param {Model}  Model Mongoose model the body is for
+   * @param {Object} body  Request body, changed in place
+   */
+
+  var _parseBody = function (Model, body) {
+    uploads.strip(uploads.fileFields(_getFields(Model)), body);
+    _flattenRelationships(Model, body);
+    adapters.parse(_getFields(Model), body, _adapters);
+  };
+
+
+  /**
+   * Store the files of a multipart request in the file fields the request may edit
+   * @param {Model}    Model    Mongoose model of the document
+   * @param {Object}   req      Express request
+   * @param {Document} item     Document being created or updated
+   * @param {Function} callback Called once the files are stored
+   */
+
+  var _storeFiles = function (Model, req, item, callback) {
+    var fields;
+
+    if (!uploads.isMultipart(req)) { return callback(); }
+    if (!req.files) { return callback(errors.create(415, 'Multipart bodies need a multipart parser such as multer')); }
+
+    fields = _.filter(uploads.fileFields(_getFields(Model)), function (field) {
+      return permissions.allows(field.options.restEditable, req, item, self.getRoles);
+    });
+
+    uploads.store(fields, item, req.files, function (err) {
+      uploads.discard(req.files, function () {
+        if (err) { return uploads.unstore(req.files, function () { callback(err); }); }
+        callback();
+      });
+    });
+  };
+
+
+  /**
+   * Wrap the callback of a save so the files stored for the request are
+   * deleted again when the save fails, no document points to them then
+   * @param  {Object}   req      Express request
+   * @param  {Function} callback Called with the result of the save
+   * @return {Function}
+   */
+
+  var _unstoreOnError = function (req, callback) {
+    return function (err, item) {
+      if (!err || !req.files) { return callback(err, item); }
+
+      uploads.unstore(req.files, function () {
+        callback(err);
+      });
+    };
+  };
+
+
+  /**
+   * Get middleware around the routes of a list that take uploads. The
+   * temporary files of a request are deleted however it ends, and multipart
+   * bodies no parser has read yet are read with the limits of the list's
+   * file fields, so oversized files are cut off before they are written.
+   * @param  {Model} Model      Mongoose model of the list
+   * @param  {Mixed} middleware Express middleware of the route
+   * @return {Array}
+   */
+
+  var _withUploads = function (Model, middleware) {
+    var parse = uploads.parser(uploads.fileFields(_getFields(Model)));
+
+    var discard = function (req, res, next) {
+      var cleanup = _.once(function () {
+        uploads.discard(req.files, _.noop);
+      });
+
+      if (uploads.isMultipart(req)) {
+        res.on('finish', cleanup);
+        res.on('close', cleanup);
+      }
+
+      next();
+    };
+
+    var read = function (req, res, next) {
+      if (!uploads.isMultipart(req) || req.files) { return next(); }
+      parse(req, res, next);
+    };
+
+    return [discard].concat(middleware || [], read);
+  };
+
+
+  /**
+   * Delete the files a change left unused, such as replaced uploads
+   * @param {Model}    Model    Mongoose model of the document
+   * @param {Object}   before   Document before the change, null when created
+   * @param {Object}   after    Document after the change, null when deleted
+   * @param {Function} callback Called once the files are deleted
+   */
+
+  var _removeFiles = function (Model, before, after, callback) {
+    var fields = uploads.fileFields(_getFields(Model));
+
+    uploads.remove(_.difference(uploads.stored(fields, history.snapshot(before)), uploads.stored(fields, history.snapshot(after))), callback);
   };
 
 
@@ -113,15 +421,85 @@ function KeystoneRest() {
 
 
   /**
-   * Get list of selected fields based on options in schema
+   * Get the roles of the user making a request. Role lists given as
+   * restSelected or restEditable are checked against these. Override
+   * to match the way roles are stored on your user model.
+   * @param  {Object} req Express request
+   * @return {Array}      Role names
+   */
+
+  self.getRoles = config.getRoles || function (req) {
+    var user = req.user,
+      roles;
+
+    if (!user) { return []; }
+
+    roles = user.roles ? [].concat(user.roles) : [];
+    if (user.role) { roles.push(user.role); }
+    if (user.isAdmin) { roles.push('admin'); }
+
+    return roles;
+  };
+
+
+  /**
+   * Get who is making a request, recorded in the history of lists added
+   * with the history option. Override to record something other than the
+   * logged in user's _id.
+   * @param  {Object} req Express request
+   * @return {Mixed}
+   */
+
+  self.getActor = config.getActor || function (req) {
+    return req.user ? req.user._id : undefined;
+  };
+
+
+  /**
+   * Convert request values and response values of a Keystone field type,
+   * replacing the built in adapter if there is one
+   * @param {Mixed}  type    Field type, such as keystone.Field.Types.Name, or its name
+   * @param {Object} adapter { parse: function (value, field), format: function (value, field) }
+   */
+
+  self.registerAdapter = function (type, adapter) {
+    if (!adapter || (typeof adapter.parse !== 'function' && typeof adapter.format !== 'function')) {
+      throw new Error('Adapters need a parse or format function');
+    }
+
+    _adapters[adapters.typeName(type)] = adapter;
+  };
+
+
+  /**
+   * Add a serializer, or replace one, so lists can shape their responses with it
+   * @param {String} name       Name lists and the serializer option refer to it by
+   * @param {Object} serializer { one: function (doc, context), many: function (docs, context), parse: function (body, context), type }
+   */
+
+  self.registerSerializer = function (name, serializer) {
+    if (!serializer || !_.every(['one', 'many', 'parse'], function (method) { return typeof serializer[method] === 'function'; })) {
+      throw new Error('Serializers need one, many and parse functions');
+    }
+
+    _serializers[name] = serializer;
+  };
+
+
+  /**
+   * Get list of selected fields based on options in schema. Fields with a
+   * restSelected function are included and checked per document by _redact.
    * @param {Schema} schema Mongoose schema
+   * @param {Object} req    Express request
    */
 
-  var _getSelected = function (schema) {
+  var _getSelected = function (schema, req) {
     var selected = [];
 
     _.each(schema.paths, function (path) {
-      if (path.options.restSelected !== false) {
+      var rule = path.options.restSelected;
+
+      if (permissions.dependsOnDoc(rule) || permissions.allows(rule, req, undefined, self.getRoles)) {
         selected.push(path.path);
       }
     });
@@ -130,17 +508,48 @@ function KeystoneRest() {
   };
 
 
+  /**
+   * Get fields that may be filtered and sorted on. Fields selected per
+   * document are left out so filters can't reveal their values, and so are
+   * fields their adapter hides, such as password hashes.
+   * @param  {Model}  Model Mongoose model
+   * @param  {Object} req   Express request
+   * @return {Array}
+   */
+
+  var _getFilterable = function (Model, req) {
+    var filterable = [],
+      hidden = _.pluck(_.filter(_getFields(Model), function (field) {
+        return adapters.hides(field, _adapters);
+      }), 'path');
+
+    _.each(Model.schema.paths, function (path) {
+      var rule = path.options.restSelected;
+
+      if (_.some(hidden, function (field) { return path.path === field || path.path.indexOf(field + '.') === 0; })) { return; }
+
+      if (!permissions.dependsOnDoc(rule) && permissions.allows(rule, req, undefined, self.getRoles)) {
+        filterable.push(path.path);
+      }
+    });
+
+    return filterable;
+  };
+
+
   /**
    * Get Uneditable
-   * @param {Schema} schema Mongoose schema
+   * @param {Schema}   schema Mongoose schema
+   * @param {Object}   req    Express request
+   * @param {Document} doc    Document being edited, undefined when creating
    */
 
-  var _getUneditable = function (schema) {
+  var _getUneditable = function (schema, req, doc) {
     var uneditable = [];
 
     _.each(schema.paths, function (path) {
-      if (path.options.restEditable === false) { uneditable.push(path.path); return; }
-      if (path.options.type.constructor.name === 'Array') { if (path.options.type[0].restEditable === false) { uneditable.push(path.path); } }
+      if (!permissions.allows(path.options.restEditable, req, doc, self.getRoles)) { uneditable.push(path.path); return; }
+      if (path.options.type.constructor.name === 'Array') { if (!permissions.allows(path.options.type[0].restEditable, req, doc, self.getRoles)) { uneditable.push(path.path); } }
     });
 
     return uneditable;
@@ -148,140 +557,1973 @@ function KeystoneRest() {
 
 
   /**
-   * Get name of reference model
-   * @param {Model}  Model Mongoose model
-   * @param {String} path Ref path to get name from
+   * Get the fields to load for a request, honouring the select param
+   * @param  {Object} req      Express request
+   * @param  {String} selected Fields the request may see, from _getSelected
+   * @param  {Array}  required Paths that have to be loaded whatever is selected
+   * @param  {Array}  fields   Fields asked for, defaults to the select param
+   * @return {String}          String passed to mongoose "select" method
    */
-  var _getRefName = function (Model, path) {
-    var options = Model.schema.paths[path].options;
 
-    // One to one relationship
-    if (options.ref) {
-      return options.ref;
-    }
+  var _getQuerySelect = function (req, selected, required, fields) {
+    var paths = selected.split(' '),
+      querySelect;
+
+    if (!fields && typeof req.query.select === 'string' && req.query.select) { fields = req.query.select.split(','); }
+    if (!fields) { return selected; }
+
+    // Allow selected paths and their parents, such as name for name.first
+    querySelect = fields.filter(function (field) {
+      return _.some(paths, function (path) {
+        return path === field || path.indexOf(field + '.') === 0;
+      });
+    });
+
+    if (!querySelect.length) { return selected; }
+
+    _.each(required, function (path) {
+      if (path && querySelect.indexOf(path) === -1) { querySelect.push(path); }
+    });
+
+    return querySelect.join(' ');
+  };
+
+
+  /**
+   * Remove a dotted path from an object
+   * @param {Object} object Object to modify
+   * @param {String} path   Dotted path
+   */
+
+  var _unset = function (object, path) {
+    var parts = path.split('.'),
+      last = parts.pop(),
+      parent = parts.length ? _.get(object, parts) : object;
+
+    if (parent && typeof parent === 'object') { delete parent[last]; }
+  };
+
+
+  /**
+   * Convert a document to JSON, removing fields that restSelected functions
+   * hide from this request. Populated documents are redacted with the
+   * rules of their own list.
+   * @param  {Model}    Model Mongoose model of the document
+   * @param  {Object}   req   Express request
+   * @param  {Document} doc   Mongoose document
+   * @return {Object}
+   */
+
+  var _redact = function (Model, req, doc) {
+    var result;
+
+    if (!doc || typeof doc.toJSON !== 'function') { return doc; }
+
+    result = doc.toJSON();
+
+    if (!Model.schema.path('score')) { delete result.score; }
+
+    _.each(Model.schema.paths, function (path) {
+      var rule = path.options.restSelected,
+        RefModel,
+        value;
+
+      if (permissions.dependsOnDoc(rule) && !permissions.allows(rule, req, doc, self.getRoles)) {
+        _unset(result, path.path);
+        return;
+      }
+
+      if (!doc.populated || !doc.populated(path.path)) { return; }
+
+      RefModel = mongoose.model(_getRefName(Model, path.path));
+      value = doc.get(path.path);
+
+      _.set(result, path.path, _.isArray(value) ? value.map(function (item) {
+        return _redact(RefModel, req, item);
+      }) : _redact(RefModel, req, value));
+    });
+
+    return adapters.format(_getFields(Model), result, _adapters);
+  };
+
+
+  /**
+   * Build find criteria from the filters in a query string
+   * @param  {Object} query Express request query
+   * @param  {Model}  Model Mongoose model being queried
+   * @param  {Object} req     Express request, used to work out which fields may be filtered on
+   * @param  {Object} options List options passed to addRoutes
+   * @return {Object}         Mongoose criteria
+   */
+
+  var _getCriteria = function (query, Model, req, options) {
+    return filters.parse(_.omit(query, _reservedParams), Model.schema, _getFilterable(Model, req), options.strictFilters);
+  };
+
+
+  /**
+   * Check whether a model was added with the softDelete option, by any
+   * instance. Its trashed documents are left out wherever it is queried.
+   * @param  {Model}   Model Mongoose model
+   * @return {Boolean}
+   */
+
+  var _isSoftDeleted = function (Model) {
+    return !!Model.schema.get('restSoftDelete');
+  };
+
+
+  /**
+   * Check whether a model was added with the history option, by any
+   * instance. Its changes are recorded.
+   * @param  {Model}   Model Mongoose model
+   * @return {Boolean}
+   */
+
+  var _isAudited = function (Model) {
+    return !!Model.schema.get('restHistory');
+  };
+
+
+  /**
+   * Limit criteria to documents in or out of the trash
+   * @param  {Model}   Model    Mongoose model being queried
+   * @param  {Object}  criteria Mongoose criteria
+   * @param  {Boolean} trashed  Match trashed documents instead of the others
+   * @return {Object}           Mongoose criteria
+   */
+
+  var _withTrash = function (Model, criteria, trashed) {
+    if (!_isSoftDeleted(Model)) { return criteria; }
+
+    return { $and: [criteria, { deletedAt: trashed ? { $ne: null } : null }] };
+  };
+
+
+  /**
+   * Send a change to the _events subscribers of a list added with the events option
+   * @param {Model}    Model  Mongoose model of the document
+   * @param {String}   action Action recorded, such as create or update
+   * @param {Document} item   Document as it is after the change
+   */
+
+  var _publish = function (Model, action, item) {
+    if (_feeds[Model.modelName]) { _feeds[Model.modelName].publish(action, item); }
+  };
+
+
+  /**
+   * Record a change in the history of a list added with the history option
+   * @param {Model}    Model    Mongoose model of the document
+   * @param {Object}   req      Express request making the change
+   * @param {Object}   revision Action and other fields of the revision
+   * @param {Object}   before   Document before the change, null when created
+   * @param {Object}   after    Document after the change, null when deleted
+   * @param {Function} callback Called once the revision is stored
+   */
+
+  var _record = function (Model, req, revision, before, after, callback) {
+    if (!_isAudited(Model)) { return callback(); }
+
+    history.model(mongoose).create(_.extend({
+      list: Model.modelName,
+      item: (after || before)._id,
+      actor: self.getActor(req),
+      route: req.method + ' ' + (req.baseUrl || '') + (req.route ? req.route.path : req.path),
+      changes: history.diff(Model.schema, before, after, _getFields(Model), _adapters)
+    }, revision), function (err) {
+      callback(err);
+    });
+  };
+
+
+  /**
+   * Save a document, running the beforeSave and afterSave hooks around it
+   * and recording the change
+   * @param {Model}    Model      Mongoose model of the document
+   * @param {Object}   req        Express request
+   * @param {Document} item       Document to save
+   * @param {Object}   revision   Action and other fields of the revision
+   * @param {Object}   before     Document before the change, null when created
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   * @param {Function} callback   Called with the saved document
+   */
+
+  var _save = function (Model, req, item, revision, before, routeHooks, callback) {
+    hooks.run(routeHooks.beforeSave, [req, item], function (err) {
+      if (err) { return callback(err); }
+
+      item.save(function (err, item) {
+        if (err) { return callback(err); }
+
+        _publish(Model, revision.action, item);
+
+        _removeFiles(Model, before, item, function () {
+          _record(Model, req, revision, before, item, function (err) {
+            if (err) { return callback(err); }
+
+            hooks.run(routeHooks.afterSave, [req, item], function (err) {
+              callback(err, item);
+            });
+          });
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Change a document with update operators, running the beforeSave and
+   * afterSave hooks around it and recording the change. Changes the hook
+   * makes to the document are written with the operators. The result is
+   * validated before it is written, and only written over the version it
+   * was worked out from: when the document changed in the meantime it is
+   * loaded again and the update retried, unless the request is strict.
+   * @param {Model}    Model      Mongoose model of the document
+   * @param {Object}   req        Express request
+   * @param {Document} item       Document as it was loaded
+   * @param {Object}   update     MongoDB update from lib/atomic
+   * @param {Boolean}  strict     Fail if the document changed since it was loaded
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   * @param {Function} callback   Called with the updated document
+   */
+
+  var _saveAtomic = function (Model, req, item, update, strict, routeHooks, callback) {
+    var versionKey = Model.schema.options.versionKey,
+      collectionName = Model.collection.name.toLowerCase(),
+      attempts = 0;
+
+    var attempt = function (item) {
+      var before = history.snapshot(item),
+        criteria = { _id: item._id };
+
+      attempts += 1;
+
+      hooks.run(routeHooks.beforeSave, [req, item], function (err) {
+        var changes = _.clone(update),
+          set = {};
+
+        if (err) { return callback(err); }
+
+        // Keep what the hook changed, unless the operators change it too
+        _.each(item.modifiedPaths(), function (path) {
+          if (Model.schema.path(path) && !_.some(update, function (changes) { return _.has(changes, path); })) { set[path] = item.get(path); }
+        });
+        if (!_.isEmpty(set)) { changes.$set = set; }
+
+        try {
+          atomic.apply(item, update);
+        } catch (applyErr) {
+          return callback(applyErr);
+        }
+
+        item.validate(function (err) {
+          if (err) { return callback(err); }
+
+          if (versionKey) {
+            criteria[versionKey] = before[versionKey];
+            changes.$inc = _.extend({}, changes.$inc);
+            changes.$inc[versionKey] = 1;
+          }
+
+          Model.findOneAndUpdate(_withTrash(Model, criteria), changes, { 'new': true }, function (err, updated) {
+            if (err) { return callback(err); }
+
+            if (!updated) {
+              if (strict) { return callback(new mongoose.Error.VersionError()); }
+              if (!versionKey) { return callback(errors.create(404, 'Could not find ' + collectionName + ' with id ' + item._id)); }
+              if (attempts >= _atomicAttempts) { return callback(errors.create(409, collectionName + ' with id ' + item._id + ' kept changing, try again')); }
+
+              return Model.findOne(_withTrash(Model, { _id: item._id }), function (err, reloaded) {
+                if (err) { return callback(err); }
+                if (!reloaded) { return callback(errors.create(404, 'Could not find ' + collectionName + ' with id ' + item._id)); }
+                attempt(reloaded);
+              });
+            }
+
+            _publish(Model, 'update', updated);
+
+            _removeFiles(Model, before, updated, function () {
+              _record(Model, req, { action: 'update' }, before, updated, function (err) {
+                if (err) { return callback(err); }
+
+                hooks.run(routeHooks.afterSave, [req, updated], function (err) {
+                  callback(err, updated);
+                });
+              });
+            });
+          });
+        });
+      });
+    };
+
+    attempt(item);
+  };
+
+
+  /**
+   * Delete a document, or move it to the trash if its model is soft deleted
+   * @param {Model}    Model      Mongoose model of the document
+   * @param {Object}   req        Express request
+   * @param {Document} item       Document to delete
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   * @param {Function} callback   Called when the document is deleted
+   */
+
+  var _remove = function (Model, req, item, routeHooks, callback) {
+    var versionKey = Model.schema.options.versionKey,
+      before = history.snapshot(item);
+
+    if (_isSoftDeleted(Model)) {
+      item.set('deletedAt', new Date());
+      if (Model.schema.paths.deletedBy && req.user) { item.set('deletedBy', req.user._id); }
+      if (versionKey) { item.increment(); }
+
+      return _save(Model, req, item, { action: 'delete' }, before, routeHooks, callback);
+    }
+
+    hooks.run(routeHooks.beforeSave, [req, item], function (err) {
+      if (err) { return callback(err); }
+
+      item.remove(function (err) {
+        if (err) { return callback(err); }
+
+        _publish(Model, 'delete', item);
+
+        _removeFiles(Model, before, null, function () {
+          _record(Model, req, { action: 'delete' }, before, null, function (err) {
+            if (err) { return callback(err); }
+            hooks.run(routeHooks.afterSave, [req, item], callback);
+          });
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Read a JSON body the json parser left alone
+   * @param {Object}   req      Express request
+   * @param {Function} callback Called with the parsed body
+   */
+
+  var _readJson = function (req, callback) {
+    var chunks = [],
+      length = 0,
+      limit = 1024 * 1024;
+
+    req.on('data', function (chunk) {
+      length += chunk.length;
+      if (length <= limit) { chunks.push(chunk); }
+    });
+
+    req.on('end', function () {
+      var body;
+
+      if (length > limit) { return callback(errors.create(413, 'Body is larger than ' + limit + ' bytes')); }
+
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (err) {
+        return callback(errors.create(400, 'Body is not valid JSON'));
+      }
+
+      callback(null, body);
+    });
+
+    req.on('error', callback);
+  };
+
+
+  /**
+   * Read a JSON Patch or JSON Merge Patch body. Keystone only parses
+   * application/json bodies, so patch bodies are read from the request here.
+   * @param {Object}   req      Express request
+   * @param {Function} callback Called with the patch type and body, or nothing for other content types
+   */
+
+  var _readPatch = function (req, callback) {
+    var type;
+
+    if (req.method !== 'PATCH') { return callback(); }
+
+    if (req.is('application/json-patch+json')) { type = 'json'; }
+    if (req.is('application/merge-patch+json')) { type = 'merge'; }
+
+    if (!type) { return callback(); }
+
+    // Body was already parsed by a json parser that accepts patch types
+    if (req._body) { return callback(null, { type: type, body: req.body }); }
+
+    _readJson(req, function (err, body) {
+      if (err) { return callback(err); }
+      callback(null, { type: type, body: body });
+    });
+  };
+
+
+  /**
+   * Read a body of the serializer's own type when the json parser left it
+   * alone, keeping it in req.body so it is only read once
+   * @param {Object}   req      Express request
+   * @param {Object}   options  List options passed to addRoutes
+   * @param {Function} callback Called once req.body holds the body
+   */
+
+  var _readSerializerBody = function (req, options, callback) {
+    var serializer = _getSerializer(options);
+
+    if (!serializer.type || !req.is(serializer.type) || req._body) { return callback(); }
+
+    _readJson(req, function (err, body) {
+      if (err) { return callback(err); }
+
+      req.body = body;
+      req._body = true;
+      callback();
+    });
+  };
+
+
+  /**
+   * Read a body shaped by the list's serializer, replacing req.body with its
+   * fields. Multipart bodies are left as they are, and so are PATCH bodies
+   * of update operators, which aren't documents.
+   * @param {Object}   req      Express request
+   * @param {Model}    Model    Mongoose model the body is for
+   * @param {Object}   options  List options passed to addRoutes
+   * @param {Function} callback Called once req.body holds the fields
+   */
+
+  var _readDocument = function (req, Model, options, callback) {
+    var serializer = _getSerializer(options);
+
+    if (uploads.isMultipart(req)) { return callback(); }
+
+    _readSerializerBody(req, options, function (err) {
+      if (err) { return callback(err); }
+      if (req.method === 'PATCH' && atomic.isAtomic(req.body)) { return callback(); }
+
+      try {
+        req.body = serializer.parse(req.body, { resource: _describe(Model, req, []) });
+      } catch (parseErr) {
+        return callback(parseErr);
+      }
+
+      callback();
+    });
+  };
+
+
+  /**
+   * Change a document to match a new version of it. Only paths the request
+   * may both see and edit are changed, the rest keep their current value.
+   * @param  {Model}    Model  Mongoose model
+   * @param  {Object}   req    Express request
+   * @param  {Document} item   Document being updated
+   * @param  {Object}   before Document as the request sees it
+   * @param  {Object}   after  New version of the document
+   */
+
+  var _setChanges = function (Model, req, item, before, after) {
+    var versionKey = Model.schema.options.versionKey,
+      uneditable = _getUneditable(Model.schema, req, item),
+      fileFields = uploads.fileFields(_getFields(Model));
+
+    _.each(Model.schema.paths, function (path, name) {
+      var value = _.get(after, name);
+
+      if (name === '_id' || name === versionKey || uneditable.indexOf(name) !== -1) { return; }
+      if (!permissions.allows(path.options.restSelected, req, item, self.getRoles)) { return; }
+
+      // File details are only set by uploads, patches may only clear them
+      if (value !== null && value !== undefined && uploads.isFilePath(fileFields, name)) { return; }
+      if (_.isEqual(value, _.get(before, name))) { return; }
+
+      item.set(name, value);
+    });
+  };
+
+
+  /**
+   * Get a document as plain JSON, without the paths a request can't see
+   * @param  {Model}    Model Mongoose model
+   * @param  {Object}   req   Express request
+   * @param  {Document} item  Mongoose document
+   * @return {Object}
+   */
+
+  var _getVisibleCopy = function (Model, req, item) {
+    var copy = JSON.parse(JSON.stringify(item.toObject({ depopulate: true })));
+
+    _.each(Model.schema.paths, function (path, name) {
+      if (!permissions.allows(path.options.restSelected, req, item, self.getRoles)) { _unset(copy, name); }
+    });
+
+    return adapters.format(_getFields(Model), copy, _adapters);
+  };
+
+
+  /**
+   * Get the serializer of a list
+   * @param  {Object} options List options passed to addRoutes
+   * @return {Object}         Serializer from lib/serializers, undefined if the name isn't registered
+   */
+
+  var _getSerializer = function (options) {
+    var serializer = options.serializer || self.serializer;
+
+    return typeof serializer === 'string' ? _serializers[serializer] : serializer;
+  };
+
+
+  /**
+   * Describe a model for serializers: its type, url, key and references.
+   * References a request populates describe their own references too.
+   * @param  {Model}  Model Mongoose model
+   * @param  {Object} req   Express request
+   * @param  {Array}  nodes Result of _getPopulate, leave out to skip references
+   * @return {Object}       Resource description from lib/serializers
+   */
+
+  var _describe = function (Model, req, nodes) {
+    var type = Model.collection.name.toLowerCase(),
+      resource = _resources[Model.modelName] || { type: type, path: String(self.prefix).replace(/\/+$/, '') + '/' + type, key: '_id' },
+      refs = {};
+
+    if (nodes) {
+      _.each(Model.schema.paths, function (schemaPath, name) {
+        var ref = schemaPath.options.ref || (schemaPath.caster && schemaPath.caster.options.ref),
+          node = _.find(nodes, { path: name });
+
+        if (!ref) { return; }
+
+        refs[name] = _.extend(_describe(mongoose.model(ref), req, node ? node.children : undefined), { many: !!schemaPath.caster });
+      });
+    }
+
+    return { type: resource.type, href: (req.baseUrl || '') + resource.path, key: resource.key, refs: refs };
+  };
+
+
+  /**
+   * Get the path a list's routes are added under, such as /api/users
+   * @param  {Model}  Model   Mongoose model
+   * @param  {Object} options List options passed to addRoutes
+   * @return {String}
+   */
+
+  var _getBasePath = function (Model, options) {
+    var prefix = options.prefix !== undefined ? options.prefix : self.prefix,
+      resource = options.resource || Model.collection.name.toLowerCase();
+
+    return String(prefix).replace(/\/+$/, '') + '/' + resource;
+  };
+
+
+  /**
+   * Get the date path that is updated whenever a document is saved
+   * @param  {Model}  Model   Mongoose model
+   * @param  {Object} options List options passed to addRoutes
+   * @return {String}         Path name, undefined if the list has none
+   */
+
+  var _getModifiedPath = function (Model, options) {
+    if (options.lastModified) { return options.lastModified; }
+    if (Model.schema.path('updatedAt')) { return 'updatedAt'; }
+  };
+
+
+  /**
+   * Get the paths conditional requests need, whatever the request selects
+   * @param  {Model}  Model   Mongoose model
+   * @param  {Object} options List options passed to addRoutes
+   * @return {Array}
+   */
+
+  var _getConditionalPaths = function (Model, options) {
+    return [Model.schema.options.versionKey || undefined, _getModifiedPath(Model, options)];
+  };
+
+
+  /**
+   * Set the Vary header of a response holding documents. Bodies differ by
+   * format and by the user's visible fields, so caches have to keep them apart.
+   * @param {Object} res Express response
+   */
+
+  var _vary = function (res) {
+    res.vary('Accept');
+    res.vary('Authorization');
+    res.vary('Cookie');
+  };
+
+
+  /**
+   * Set ETag, Last-Modified and Vary headers, and answer If-None-Match.
+   * @param  {Object} req     Express request
+   * @param  {Object} res     Express response
+   * @param  {Model}  Model   Mongoose model of the documents
+   * @param  {Object} options List options passed to addRoutes
+   * @param  {Array}  docs    Documents in the response
+   * @param  {String} tag     ETag of the response
+   * @return {Boolean}        True if a 304 response was sent
+   */
+
+  var _sendNotModified = function (req, res, Model, options, docs, tag) {
+    var modifiedPath = _getModifiedPath(Model, options),
+      modified = modifiedPath ? conditional.lastModified(docs, modifiedPath) : undefined;
+
+    if (tag) { res.setHeader('ETag', tag); }
+    if (modified) { res.setHeader('Last-Modified', modified.toUTCString()); }
+    _vary(res);
+
+    if (!conditional.matches(req.headers['if-none-match'], tag, true)) { return false; }
+
+    res.status(304);
+    res.end();
+    return true;
+  };
+
+
+  /**
+   * Check If-Match before changing a document
+   * @param  {Object}   req  Express request
+   * @param  {Model}    Model Mongoose model
+   * @param  {Document} item Document about to be changed
+   * @return {Error}         412 error if the client has a stale version
+   */
+
+  var _checkIfMatch = function (req, Model, item) {
+    var header = req.headers['if-match'];
+
+    if (header && !conditional.matchesVersion(header, item, Model.schema.options.versionKey)) {
+      return errors.create(412, 'The ' + Model.modelName.toLowerCase() + ' has changed since it was loaded, reload it and try again');
+    }
+  };
+
+
+  /**
+   * Get name of reference model
+   * @param {Model}  Model Mongoose model
+   * @param {String} path Ref path to get name from
+   */
+  var _getRefName = function (Model, path) {
+    var options = Model.schema.paths[path].options;
+
+    // One to one relationship
+    if (options.ref) {
+      return options.ref;
+    }
+
+    // One to many relationsihp
+    return options.type[0].ref;
+  };
+
+
+  /**
+   * Build criteria for the q search param
+   * @param  {Model}  Model  Mongoose model being searched
+   * @param  {Object} req    Express request
+   * @param  {Mixed}  fields Fields to search, defaults to the Keystone list's searchFields
+   * @return {Object}        Result of lib/search parse, undefined if the request doesn't search
+   */
+
+  var _getSearch = function (Model, req, fields) {
+    var list = self.keystone.lists ? self.keystone.lists[Model.modelName] : undefined;
+
+    if (req.query.q === undefined) { return undefined; }
+
+    if (typeof fields === 'string') { fields = fields.split(/[\s,]+/); }
+    if (!fields && list) { fields = _.compact(_.pluck(list.searchFields, 'path')); }
+
+    return search.parse(req.query.q, Model.schema, fields, _getFilterable(Model, req));
+  };
+
+
+  /**
+   * Add search criteria to a query, sorting by relevance unless the request sorts
+   * @param  {Object} criteria Mongoose criteria
+   * @param  {Object} found    Result of _getSearch
+   * @param  {Object} paging   Paging description from lib/pagination
+   * @return {Object}          Mongoose criteria
+   */
+
+  var _addSearch = function (criteria, found, paging) {
+    if (!found) { return criteria; }
+
+    if (found.text && !paging.sort) { paging.sort = { score: { $meta: 'textScore' } }; }
+
+    return { $and: [criteria, found.criteria] };
+  };
+
+
+  /**
+   * Work out what a request populates. Checks every level only populates
+   * references the request can see, and only sorts on fields it may filter.
+   * @param  {Model}  Model   Mongoose model of the documents being populated
+   * @param  {Object} req     Express request
+   * @param  {Object} options List options passed to addRoutes
+   * @return {Array}          Populate tree from lib/populate, with models and selects resolved
+   */
+
+  var _getPopulate = function (Model, req, options) {
+    var resolve = function (Model, nodes) {
+      var selected = _getSelected(Model.schema, req).split(' ');
+
+      _.each(nodes, function (node) {
+        var schemaPath = Model.schema.paths[node.path],
+          ref = schemaPath && (schemaPath.options.ref || (schemaPath.caster && schemaPath.caster.options.ref)),
+          filterable;
+
+        if (!ref || selected.indexOf(node.path) === -1) { throw errors.create(400, 'Cannot populate ' + node.path + ', it is not a relationship'); }
+
+        node.model = mongoose.model(ref);
+        filterable = _getFilterable(node.model, req);
+
+        _.each(node.sort, function (field) {
+          if (filterable.indexOf(field.replace(/^[\-+]/, '')) === -1) { throw errors.create(400, 'Cannot sort ' + node.path + ' on ' + field); }
+        });
+
+        resolve(node.model, node.children);
+
+        // Children have to be loaded to be populated
+        node.fields = _getQuerySelect(req, _getSelected(node.model.schema, req), _.pluck(node.children, 'path'), node.select || []);
+      });
+    };
+    var nodes = populate.parse(req.query.populate, options.populateDepth || 2);
+
+    resolve(Model, nodes);
+
+    return nodes;
+  };
+
+
+  /**
+   * Populate documents, level by level
+   * @param {Model}    Model    Mongoose model of the documents
+   * @param {Mixed}    docs     Document or array of documents
+   * @param {Array}    nodes    Result of _getPopulate
+   * @param {Function} callback Called when every level is populated
+   */
+
+  var _populate = function (Model, docs, nodes, callback) {
+    docs = _.compact([].concat(docs));
+
+    if (!docs.length) { return callback(); }
+
+    _eachSeries(nodes, function (node, index, done) {
+      var options = { path: node.path, select: node.fields, options: {} },
+        batches = [docs];
+
+      // Leave trashed documents out
+      if (_isSoftDeleted(node.model)) { options.match = { deletedAt: null }; }
+
+      /*jslint unparam: true */
+      if (node.sort) { options.options.sort = node.sort.join(' '); }
+      if (node.limit) {
+        options.options.limit = node.limit;
+
+        // Mongoose limits the whole populate query, so limit each document on its own
+        batches = docs.map(function (doc) { return [doc]; });
+      }
+
+      _eachSeries(batches, function (batch, index, next) {
+        Model.populate(batch, _.clone(options), next);
+      }, function (err) {
+        var children;
+
+        if (err) { return done(err); }
+
+        children = _.flatten(docs.map(function (doc) {
+          return doc.get(node.path);
+        })).filter(function (child) {
+          return child instanceof node.model;
+        });
+
+        _populate(node.model, children, node.children, done);
+      });
+    }, callback);
+  };
+
+
+  /**
+   * Run a query once the beforeQuery hook of the route has had a chance to
+   * change it, so the hook scopes every document a route loads
+   * @param {Object}   req        Express request
+   * @param {Query}    query      Mongoose query
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   * @param {Function} callback   Called with the results of the query
+   */
+
+  var _runQuery = function (req, query, routeHooks, callback) {
+    hooks.run(routeHooks.beforeQuery, [req, query], function (err) {
+      if (err) { return callback(err); }
+      query.exec(callback);
+    });
+  };
+
+
+  /**
+   * Build the query of a list or relationship page. Runs the beforeQuery hook
+   * and counts the documents matching what it leaves.
+   * @param {Object}   req        Express request
+   * @param {Model}    Model      Mongoose model being listed
+   * @param {Object}   options    List options passed to addRoutes
+   * @param {Object}   criteria   Mongoose criteria
+   * @param {Object}   paging     Paging description from lib/pagination
+   * @param {Array}    populated  Result of _getPopulate
+   * @param {Object}   found      Result of _getSearch
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   * @param {Function} callback   Called with the total and the query of the page
+   */
+
+  var _queryPage = function (req, Model, options, criteria, paging, populated, found, routeHooks, callback) {
+
+    // Cursors are built from the sort path so it has to be loaded
+    var query = Model.find(criteria)
+      .select(_getQuerySelect(req, _getSelected(Model.schema, req), [paging.path].concat(_getConditionalPaths(Model, options), _.pluck(populated, 'path'))));
+
+    // Sorting by relevance needs the text score, which _redact leaves out of responses
+    if (found && found.text && _.get(paging.sort, 'score.$meta') === 'textScore') { query.select({ score: { $meta: 'textScore' } }); }
+
+    hooks.run(routeHooks.beforeQuery, [req, query], function (err) {
+      if (err) { return callback(err); }
+
+      Model.count().merge(query).exec(function (err, total) {
+        var position = pagination.seek(paging);
+
+        if (err) { return callback(err); }
+
+        if (position) { query.and([position]); }
+        pagination.apply(query, paging);
+
+        callback(null, total, query);
+      });
+    });
+  };
+
+
+  /**
+   * Send a page of documents with total and Link headers
+   * @param {Object}   req        Express request
+   * @param {Object}   res        Express response
+   * @param {Function} next       Express next
+   * @param {Model}    Model      Mongoose model of the documents
+   * @param {Object}   options    List options passed to addRoutes
+   * @param {Object}   paging     Paging description from lib/pagination
+   * @param {Number}   total      Number of documents matching the request criteria
+   * @param {Array}    docs       Query results
+   * @param {Array}    populated  Result of _getPopulate
+   * @param {String}   format     Response format from lib/formats
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   */
+
+  var _sendPage = function (req, res, next, Model, options, paging, total, docs, populated, format, routeHooks) {
+    var page = pagination.trim(docs, paging),
+      links = pagination.links(req, paging, total, page),
+      serializer = _getSerializer(options);
+
+    // Make total total accessible via response headers
+    res.setHeader('total', total);
+    if (links) { res.setHeader('Link', links); }
+
+    docs = page.docs.map(function (doc) {
+      return _redact(Model, req, doc);
+    });
+
+    hooks.transform(routeHooks.transform, req, docs, function (err, docs) {
+      var body;
+
+      if (err) { return _sendError(err, req, res, next); }
+
+      if (format === 'json') {
+        body = JSON.stringify(serializer.many(docs, {
+          resource: _describe(Model, req, populated),
+          total: total,
+          links: _.extend({ self: req.originalUrl || req.url }, pagination.urls(req, paging, total, page))
+        }));
+      } else {
+        body = format === 'csv' ? formats.toCsv(docs) : formats.toNdjson(docs);
+      }
+
+      if (_sendNotModified(req, res, Model, options, page.docs, conditional.listEtag(body, total))) { return; }
+
+      res.type(format === 'json' ? serializer.type || 'json' : formats.TYPES[format]);
+      res.send(body);
+    });
+  };
+
+
+  /**
+   * Check whether a request is streamed, capping its page size if it is.
+   * Cursor paged lists are never streamed, their Link header depends on
+   * the last document of the page. Neither is JSON shaped by a serializer
+   * other than raw, it wraps the whole page, nor CSV, whose columns come
+   * from every document of the page.
+   * @param  {Object}  options List options passed to addRoutes
+   * @param  {Object}  paging  Paging description from lib/pagination
+   * @param  {String}  format  Response format from lib/formats
+   * @return {Boolean}
+   */
+
+  var _prepareStream = function (options, paging, format) {
+    var cap = options.streamLimit || 10000;
+
+    if (!options.stream || paging.cursor) { return false; }
+    if (format === 'csv' || (format === 'json' && _getSerializer(options) !== _serializers.raw)) { return false; }
+
+    paging.limit = Math.min(paging.limit || cap, cap);
+
+    return true;
+  };
+
+
+  /**
+   * Stream a page of documents through a query cursor. Documents are
+   * populated and written in batches, waiting for the client whenever the
+   * response buffer is full, and the cursor is closed if the client goes away.
+   * @param {Object}   req        Express request
+   * @param {Object}   res        Express response
+   * @param {Function} next       Express next
+   * @param {Model}    Model      Mongoose model of the documents
+   * @param {Object}   paging     Paging description from lib/pagination
+   * @param {Number}   total      Number of documents matching the request criteria
+   * @param {Query}    query      Query for the page
+   * @param {Array}    populated  Result of _getPopulate
+   * @param {String}   format     Response format from lib/formats
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   */
+
+  var _streamPage = function (req, res, next, Model, paging, total, query, populated, format, routeHooks) {
+    var writer = formats.writer(format),
+      links = pagination.links(req, paging, total, { docs: [] }),
+      stream = query.stream(),
+      batch = [],
+      stopped = false,
+      ended = false;
+
+    // Populate and write the documents read so far
+    var flush = function (callback) {
+      var docs = batch;
+
+      batch = [];
+
+      _populate(Model, docs, populated, function (err) {
+        if (err || stopped) { return callback(err); }
+
+        hooks.transform(routeHooks.transform, req, docs.map(function (doc) {
+          return _redact(Model, req, doc);
+        }), function (err, docs) {
+          var chunk;
+
+          if (err || stopped) { return callback(err); }
+
+          chunk = writer.write(docs);
+
+          if (!chunk || res.write(chunk)) { return callback(); }
+          res.once('drain', callback);
+        });
+      });
+    };
+
+    // Headers can't change once the body has started, so errors end the response
+    var fail = function (err) {
+      if (stopped) { return; }
+      stopped = true;
+      stream.destroy();
+      next(err);
+    };
+
+    res.setHeader('total', total);
+    _vary(res);
+    if (links) { res.setHeader('Link', links); }
+    res.type(formats.TYPES[format]);
+    res.write(writer.start());
+
+    res.on('close', function () {
+      if (ended || stopped) { return; }
+      stopped = true;
+      stream.destroy();
+    });
+
+    stream.on('data', function (doc) {
+      batch.push(doc);
+      if (batch.length < _streamBatch) { return; }
+
+      stream.pause();
+      flush(function (err) {
+        if (err) { return fail(err); }
+        if (!stopped) { stream.resume(); }
+      });
+    });
+
+    stream.on('error', fail);
+
+    stream.on('close', function () {
+      if (stopped) { return; }
+
+      flush(function (err) {
+        if (err) { return fail(err); }
+        if (stopped) { return; }
+
+        ended = true;
+        res.end(writer.end());
+      });
+    });
+  };
+
+
+  /**
+   * Call iterator for each item in turn
+   * @param {Array}    items    Items to iterate
+   * @param {Function} iterator Called with (item, index, done)
+   * @param {Function} callback Called when every item is done or on the first error
+   */
+
+  var _eachSeries = function (items, iterator, callback) {
+    var index = 0;
+
+    var iterate = function () {
+      if (index >= items.length) { return callback(); }
+
+      iterator(items[index], index++, function (err) {
+        if (err) { return callback(err); }
+        setImmediate(iterate);
+      });
+    };
+
+    iterate();
+  };
+
+
+  /**
+   * Run express middleware in order. The callback isn't called when a
+   * middleware ends the response itself.
+   * @param {Mixed}    middleware Middleware, or arrays of middleware
+   * @param {Object}   req        Express request
+   * @param {Object}   res        Express response
+   * @param {Function} callback   Called with the error a middleware passed on
+   */
+
+  var _runMiddleware = function (middleware, req, res, callback) {
+    _eachSeries(_.flattenDeep([middleware]), function (handler, index, done) {
+      handler(req, res, done);
+    }, callback);
+  };
+
+
+  /**
+   * Describe a failed item in a bulk response
+   * @param  {Number} index Position of the item in the request
+   * @param  {Mixed}  id    Key of the document if known
+   * @param  {Mixed}  err   Error or message
+   * @return {Object}
+   */
+
+  var _bulkFailure = function (index, id, err) {
+    var response = errors.format(typeof err === 'string' ? errors.create(400, err) : err),
+      error = response ? response.body : { status: 'error', message: err.message };
+
+    return {
+      index: index,
+      id: id,
+      success: false,
+      error: error
+    };
+  };
+
+
+  /**
+   * Send a bulk response, attaching selected fields of saved documents
+   * @param {Object} req      Express request
+   * @param {Object} res      Express response
+   * @param {Function} next   Express next
+   * @param {Model}  Model    Mongoose model
+   * @param {Boolean} attach  Whether to attach saved documents to results
+   * @param {String} findBy   Path documents are identified by
+   * @param {Array}  results  Result for every item in the request
+   */
+
+  var _sendBulk = function (req, res, next, Model, attach, findBy, results) {
+    var succeeded = _.filter(results, 'success'),
+      criteria = {};
+
+    var send = function () {
+      res.json({
+        succeeded: succeeded.length,
+        failed: results.length - succeeded.length,
+        results: results
+      });
+    };
+
+    if (!attach || !succeeded.length) { return send(); }
+
+    criteria[findBy] = { $in: _.pluck(succeeded, 'id') };
+
+    Model.find(criteria).select(_getSelected(Model.schema, req)).exec(function (err, items) {
+      if (err) { return _sendError(err, req, res, next); }
+
+      succeeded.forEach(function (result) {
+        result.item = _redact(Model, req, _.find(items, function (item) {
+          return String(item.get(findBy)) === String(result.id);
+        }));
+      });
+
+      send();
+    });
+  };
+
+
+  /**
+   * Build the handler of a list route
+   * @param  {Model}    Model   Mongoose Model
+   * @param  {Object}   options List options passed to addRoutes
+   * @param  {Boolean}  trashed List the trash instead of the other documents
+   * @return {Function}         Express route handler
+   */
+
+  var _getListHandler = function (Model, options, trashed) {
+    var routeHooks = hooks.get(options, 'list');
+
+    return function (req, res, next) {
+      var populated,
+        criteria,
+        streamed,
+        format,
+        found,
+        paging;
+
+      try {
+        format = formats.negotiate(req);
+        criteria = _withTrash(Model, _getCriteria(req.query, Model, req, options), trashed);
+        paging = pagination.parse(req.query, Model.schema, _getFilterable(Model, req), options);
+        populated = _getPopulate(Model, req, options);
+        found = _getSearch(Model, req, options.searchFields);
+      } catch (err) {
+        return _sendError(err, req, res, next);
+      }
+
+      criteria = _addSearch(criteria, found, paging);
+      streamed = _prepareStream(options, paging, format);
+
+      _queryPage(req, Model, options, criteria, paging, populated, found, routeHooks, function (err, count, query) {
+        if (err) { return _sendError(err, req, res, next); }
+
+        if (streamed) { return _streamPage(req, res, next, Model, paging, count, query, populated, format, routeHooks); }
+
+        query.exec(function (err, response) {
+          if (err) { return _sendError(err, req, res, next); }
+
+          _populate(Model, response, populated, function (err) {
+            if (err) { return _sendError(err, req, res, next); }
+            _sendPage(req, res, next, Model, options, paging, count, response, populated, format, routeHooks);
+          });
+        });
+      });
+    };
+  };
+
+
+  /**
+   * Add get route
+   * @param {Model}  model         Mongoose Model
+   * @param {Mixed}  middleware    Express middleware to execute before route handler
+   * @param {Array}  relationships Relationship paths to add list routes for
+   * @param {Object} options       List options passed to addRoutes
+   */
+
+  var _addList = function (Model, middleware, relationships, options) {
+
+    // Get a list of items
+    self.routes.push({
+      method: 'get',
+      action: 'list',
+      middleware: middleware,
+      route: _getBasePath(Model, options),
+      handler: _getListHandler(Model, options, false)
+    });
+
+
+    // Get a list of relationships
+    if (relationships) {
+
+      _.each(relationships, function (relationship) {
+        var routeHooks = hooks.get(options, 'relationship', relationship),
+          listHooks = hooks.get(options, 'list');
+
+        self.routes.push({
+          method: 'get',
+          action: 'relationship',
+          relationship: relationship,
+          middleware: middleware,
+          route: _getBasePath(Model, options) + '/:id/' + relationship,
+          handler: function (req, res, next) {
+            _runQuery(req, Model.findOne(_withTrash(Model, { _id: req.params.id })), listHooks, function (err, result) {
+              var criteria,
+                paging,
+                populated,
+                streamed,
+                format,
+                found,
+                RefModel;
+
+              if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+              if (!result) { return _send404(req, res, next, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params.id); }
+              if (!permissions.allows(Model.schema.paths[relationship].options.restSelected, req, result, self.getRoles)) { return _sendError(errors.create(403, 'You are not allowed to see ' + relationship), req, res, next); }
+
+              RefModel = mongoose.model(Model.schema.paths[relationship].caster.options.ref);
+
+              try {
+                format = formats.negotiate(req);
+                criteria = _getCriteria(req.query, RefModel, req, options);
+                paging = pagination.parse(req.query, RefModel.schema, _getFilterable(RefModel, req), options);
+                populated = _getPopulate(RefModel, req, options);
+                found = _getSearch(RefModel, req);
+              } catch (err) {
+                return _sendError(err, req, res, next);
+              }
+
+              criteria = _addSearch(_withTrash(RefModel, { $and: [criteria, { _id: { $in: result[relationship] } }] }), found, paging);
+              streamed = _prepareStream(options, paging, format);
+
+              _queryPage(req, RefModel, options, criteria, paging, populated, found, routeHooks, function (err, total, query) {
+                if (err) { return _sendError(err, req, res, next); }
+
+                // Streamed relationships come in database order, unless sorted
+                if (streamed) { return _streamPage(req, res, next, RefModel, paging, total, query, populated, format, routeHooks); }
+
+                query.exec(function (err, response) {
+                  var sortedResults = [];
+
+                  if (err) { return _sendError(err, req, res, next); }
+
+                  // Put relationship results into same order
+                  // that they appear in document
+                  if (!query.options.sort) {
+                    result[relationship].forEach(function (_id) {
+                      var doc = _.find(response, function (item) { return item._id.equals(_id); });
+                      if (doc) { sortedResults.push(doc); }
+                    });
+                    response = sortedResults;
+                  }
+
+                  _populate(RefModel, response, populated, function (err) {
+                    if (err) { return _sendError(err, req, res, next); }
+                    _sendPage(req, res, next, RefModel, options, paging, total, response, populated, format, routeHooks);
+                  });
+                });
+              });
+            });
+          }
+        });
+      });
+    }
+  };
+
+
+  /**
+   * Find the document to attach to a relationship, or create it from the body
+   * through the create route of the related list, running its middleware and hooks
+   * @param {Model}    RefModel Mongoose model the relationship refers to
+   * @param {Object}   req      Express request
+   * @param {Object}   res      Express response
+   * @param {Function} callback Called with the related document and whether it was created
+   */
+
+  var _findOrCreateRelated = function (RefModel, req, res, callback) {
+    var body = req.body || {},
+      collectionName = RefModel.collection.name.toLowerCase(),
+      creator = _creators[RefModel.modelName];
+
+    if (body._id) {
+      return RefModel.findOne(_withTrash(RefModel, { _id: body._id })).exec(function (err, item) {
+        if (err && err.type !== 'ObjectId') { return callback(err); }
+        if (!item) { return callback(errors.create(404, 'Could not find ' + collectionName + ' with id ' + body._id)); }
+        callback(null, item, false);
+      });
+    }
+
+    if (!creator) { return callback(errors.create(403, 'You are not allowed to create ' + collectionName + ', attach one by _id')); }
+
+    _runMiddleware(creator.middleware, req, res, function (err) {
+      if (err) { return callback(err); }
+
+      creator.create(req, function (err, item) {
+        callback(err, item, true);
+      });
+    });
+  };
+
+
+  /**
+   * Add routes that attach, detach and reorder the documents of relationships
+   * @param {Model}  Model         Mongoose Model
+   * @param {Mixed}  middleware    Express middleware to execute before route handler
+   * @param {Array}  relationships Relationship paths to add routes for
+   * @param {Object} options       List options passed to addRoutes
+   */
+
+  var _addRelationshipUpdates = function (Model, middleware, relationships, options) {
+    var collectionName = Model.collection.name.toLowerCase();
+    var versionKey = Model.schema.options.versionKey;
+    var updateHooks = hooks.get(options, 'update');
+
+    // Find the document and check the request may change the relationship
+    var load = function (req, relationship, callback) {
+      _runQuery(req, Model.findOne(_withTrash(Model, { _id: req.params.id })), updateHooks, function (err, item) {
+        if (err && err.type !== 'ObjectId') { return callback(err); }
+        if (!item) { return callback(errors.create(404, 'Could not find ' + collectionName + ' with id ' + req.params.id)); }
+        if (_getUneditable(Model.schema, req, item).indexOf(relationship) !== -1) { return callback(errors.create(403, 'You are not allowed to change ' + relationship)); }
+
+        callback(_checkIfMatch(req, Model, item), item);
+      });
+    };
+
+    // Change the relationship in a single update, bumping the version so ETags change
+    var update = function (req, item, criteria, changes, callback) {
+      if (versionKey) {
+        changes.$inc = {};
+        changes.$inc[versionKey] = 1;
+      }
+
+      Model.update(criteria, changes, function (err, affected) {
+        if (err || !affected || (!_isAudited(Model) && !_feeds[Model.modelName])) { return callback(err, affected); }
+
+        Model.findById(item._id, function (err, updated) {
+          if (err) { return callback(err); }
+
+          _publish(Model, 'update', updated);
+
+          _record(Model, req, { action: 'update' }, item, updated, function (err) {
+            callback(err, affected);
+          });
+        });
+      });
+    };
+
+    _.each(relationships, function (relationship) {
+      var schemaPath = Model.schema.paths[relationship],
+        route = _getBasePath(Model, options) + '/:id/' + relationship,
+        routeHooks = hooks.get(options, 'relationship', relationship);
+
+      // Only lists of references can be attached to
+      if (!schemaPath || !schemaPath.caster || !schemaPath.caster.options.ref) { return; }
+
+      // Attach an existing document, or create and attach a new one
+      self.routes.push({
+        method: 'post',
+        action: 'attach',
+        relationship: relationship,
+        middleware: middleware,
+        route: route,
+        handler: function (req, res, next) {
+          var RefModel = mongoose.model(schemaPath.caster.options.ref);
+
+          load(req, relationship, function (err, item) {
+            if (err) { return _sendError(err, req, res, next); }
+
+            _findOrCreateRelated(RefModel, req, res, function (err, related, created) {
+              var changes = { $addToSet: {} };
+
+              if (err) { return _sendError(err, req, res, next); }
+
+              changes.$addToSet[relationship] = related._id;
+
+              update(req, item, { _id: item._id }, changes, function (err, affected) {
+                if (!err && !affected) { err = errors.create(404, 'Could not find ' + collectionName + ' with id ' + req.params.id); }
+
+                // Don't leave a created document behind when it couldn't be attached
+                if (err && created) {
+                  return related.remove(function () {
+                    _sendError(err, req, res, next);
+                  });
+                }
+
+                if (err) { return _sendError(err, req, res, next); }
+
+                RefModel.findById(related._id).select(_getQuerySelect(req, _getSelected(RefModel.schema, req))).exec(function (err, related) {
+                  if (err) { return _sendError(err, req, res, next); }
+                  _sendDoc(req, res, next, RefModel, options, related, [], routeHooks);
+                });
+              });
+            });
+          });
+        }
+      });
+
+      // Put the related documents in a new order
+      self.routes.push({
+        method: 'put',
+        action: 'reorder',
+        relationship: relationship,
+        middleware: middleware,
+        route: route,
+        handler: function (req, res, next) {
+          var ids = _.isArray(req.body) ? req.body.map(String) : undefined;
+
+          if (!ids) { return _send400(req, res, next, 'Send the ids of ' + relationship + ' in their new order'); }
+
+          load(req, relationship, function (err, item) {
+            var current,
+              criteria = { _id: item && item._id },
+              changes = { $set: {} };
+
+            if (err) { return _sendError(err, req, res, next); }
+
+            current = item[relationship].map(String);
+
+            if (_.uniq(ids).length !== ids.length || ids.length !== current.length || _.difference(ids, current).length) {
+              return _send400(req, res, next, 'The new order must contain every id of ' + relationship + ' once');
+            }
+
+            if (!ids.length) { return res.json(ids); }
+
+            // Only reorder if nothing was attached or detached in the meantime
+            criteria[relationship] = { $all: ids, $size: ids.length };
+            changes.$set[relationship] = ids;
+
+            update(req, item, criteria, changes, function (err, affected) {
+              if (err) { return _sendError(err, req, res, next); }
+              if (!affected) { return _sendError(errors.create(409, relationship + ' changed while reordering, reload and try again'), req, res, next); }
+              res.json(ids);
+            });
+          });
+        }
+      });
+
+      // Detach a document
+      self.routes.push({
+        method: 'delete',
+        action: 'detach',
+        relationship: relationship,
+        middleware: middleware,
+        route: route + '/:related',
+        handler: function (req, res, next) {
+          load(req, relationship, function (err, item) {
+            var criteria = { _id: item && item._id },
+              changes = { $pull: {} };
+
+            if (err) { return _sendError(err, req, res, next); }
+
+            criteria[relationship] = req.params.related;
+            changes.$pull[relationship] = req.params.related;
+
+            update(req, item, criteria, changes, function (err, affected) {
+              if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+              if (err || !affected) { return _send404(req, res, next, collectionName + ' with id ' + req.params.id + ' has no ' + relationship + ' with id ' + req.params.related); }
+
+              res.json({
+                message: 'Successfully detached ' + relationship
+              });
+            });
+          });
+        }
+      });
+    });
+  };
+
+
+  /**
+   * Add aggregate route
+   * @param {Model}  Model      Mongoose Model
+   * @param {Mixed}  middleware Express middleware to execute before route handler
+   * @param {Object} options    List options passed to addRoutes
+   */
+
+  var _addAggregate = function (Model, middleware, options) {
+    var routeHooks = hooks.get(options, 'list');
+
+    // Group documents and work out metrics for each group
+    self.routes.push({
+      method: 'get',
+      action: 'aggregate',
+      middleware: middleware,
+      route: _getBasePath(Model, options) + '/_aggregate',
+      handler: function (req, res, next) {
+        var filterable = _getFilterable(Model, req),
+          allowed = options.aggregateFields ? _.intersection(options.aggregateFields, filterable) : filterable,
+          query,
+          spec;
+
+        try {
+          spec = aggregate.parse(req.query, Model.schema, allowed, options.maxLimit);
+          query = Model.find(_withTrash(Model, _getCriteria(_.omit(req.query, 'group', 'metrics'), Model, req, options)));
+        } catch (err) {
+          return _sendError(err, req, res, next);
+        }
+
+        // Only the criteria the hook leaves are used, the pipeline does its own sorting
+        hooks.run(routeHooks.beforeQuery, [req, query], function (err) {
+          var criteria;
+
+          if (err) { return _sendError(err, req, res, next); }
+
+          // Aggregation doesn't cast criteria the way queries do
+          try {
+            criteria = Model.find().cast(Model, query._conditions);
+          } catch (castErr) {
+            return _sendError(castErr, req, res, next);
+          }
+
+          Model.aggregate(aggregate.pipeline(criteria, spec), function (err, results) {
+            if (err) { return _sendError(err, req, res, next); }
+            res.json(aggregate.format(results, spec));
+          });
+        });
+      }
+    });
+  };
+
+
+  /**
+   * Send a document with the fields the request may see, reshaped by the
+   * transform hook and the list's serializer
+   * @param {Object}   req        Express request
+   * @param {Object}   res        Express response
+   * @param {Function} next       Express next
+   * @param {Model}    Model      Mongoose model of the document
+   * @param {Object}   options    List options passed to addRoutes
+   * @param {Document} item       Document to send
+   * @param {Array}    populated  Result of _getPopulate
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   */
+
+  var _sendDoc = function (req, res, next, Model, options, item, populated, routeHooks) {
+    var serializer = _getSerializer(options);
+
+    hooks.transform(routeHooks.transform, req, [_redact(Model, req, item)], function (err, docs) {
+      var body,
+        tag;
+
+      if (err) { return _sendError(err, req, res, next); }
+
+      body = JSON.stringify(serializer.one(docs[0], { resource: _describe(Model, req, populated) }));
+      tag = conditional.etag(item, Model.schema.options.versionKey, body);
+
+      // Only reads are answered with 304, changes just get the new ETag
+      if (req.method === 'GET') {
+        if (_sendNotModified(req, res, Model, options, [item], tag)) { return; }
+      } else if (tag) {
+        res.setHeader('ETag', tag);
+      }
+
+      res.type(serializer.type || 'json');
+      res.send(body);
+    });
+  };
+
+
+  /**
+   * Send a document that was just saved, with the fields the request may see
+   * @param {Object}   req        Express request
+   * @param {Object}   res        Express response
+   * @param {Function} next       Express next
+   * @param {Model}    Model      Mongoose model of the document
+   * @param {Object}   options    List options passed to addRoutes
+   * @param {Document} item       Saved document
+   * @param {Object}   routeHooks Hooks of the route, from lib/hooks
+   */
+
+  var _sendSaved = function (req, res, next, Model, options, item, routeHooks) {
+    Model.findById(item._id).select(_getQuerySelect(req, _getSelected(Model.schema, req), _getConditionalPaths(Model, options))).exec(function (err, item) {
+      if (err) { return _sendError(err, req, res, next); }
+      _sendDoc(req, res, next, Model, options, item, [], routeHooks);
+    });
+  };
+
+
+  /**
+   * Add routes that list, restore and purge the trash of a soft deleted list
+   * @param {Model}  Model      Mongoose Model
+   * @param {Mixed}  middleware Express middleware to execute before route handler
+   * @param {String} findBy     Path documents are identified by
+   * @param {Object} options    List options passed to addRoutes
+   */
+
+  var _addTrash = function (Model, middleware, findBy, options) {
+    var collectionName = Model.collection.name.toLowerCase();
+    var paramName = Model.modelName.toLowerCase();
+    var versionKey = Model.schema.options.versionKey;
+    var updateHooks = hooks.get(options, 'update');
+    var deleteHooks = hooks.get(options, 'delete');
+
+    // Find a trashed document through the beforeQuery hook of the action
+    var load = function (req, routeHooks, callback) {
+      var criteria = {};
+
+      criteria[findBy] = req.params[paramName];
+
+      _runQuery(req, Model.findOne(_withTrash(Model, criteria, true)), routeHooks, function (err, item) {
+        if (err && err.type !== 'ObjectId') { return callback(err); }
+        if (!item) { return callback(errors.create(404, 'Could not find trashed ' + collectionName + ' with id ' + req.params[paramName])); }
+
+        callback(_checkIfMatch(req, Model, item), item);
+      });
+    };
+
+    // Get a list of trashed items
+    self.routes.push({
+      method: 'get',
+      action: 'trash',
+      middleware: middleware,
+      route: _getBasePath(Model, options) + '/_trash',
+      handler: _getListHandler(Model, options, true)
+    });
+
+    // Take an item out of the trash
+    self.routes.push({
+      method: 'post',
+      action: 'restore',
+      middleware: middleware,
+      route: _getBasePath(Model, options) + '/:' + paramName + '/restore',
+      handler: function (req, res, next) {
+        load(req, updateHooks, function (err, item) {
+          var before = history.snapshot(item);
+
+          if (err) { return _sendError(err, req, res, next); }
+
+          item.set('deletedAt', undefined);
+          if (Model.schema.paths.deletedBy) { item.set('deletedBy', undefined); }
+          if (versionKey) { item.increment(); }
+
+          _save(Model, req, item, { action: 'restore' }, before, updateHooks, function (err, item) {
+            if (err) { return _sendError(err, req, res, next); }
+            _sendSaved(req, res, next, Model, options, item, updateHooks);
+          });
+        });
+      }
+    });
+
+    // Delete a trashed item for good, only admins may do this
+    self.routes.push({
+      method: 'delete',
+      action: 'purge',
+      middleware: middleware,
+      route: _getBasePath(Model, options) + '/_trash/:' + paramName,
+      handler: function (req, res, next) {
+        if (!permissions.allows('admin', req, undefined, self.getRoles)) {
+          return _sendError(errors.create(403, 'Only admins may purge ' + collectionName), req, res, next);
+        }
+
+        load(req, deleteHooks, function (err, item) {
+          var before = history.snapshot(item);
+
+          if (err) { return _sendError(err, req, res, next); }
+
+          item.remove(function (err) {
+            if (err) { return _sendError(err, req, res, next); }
+
+            _publish(Model, 'purge', item);
+
+            _removeFiles(Model, before, null, function () {
+              _record(Model, req, { action: 'purge' }, before, null, function (err) {
+                if (err) { return _sendError(err, req, res, next); }
+                res.json({
+                  message: 'Successfully purged ' + collectionName
+                });
+              });
+            });
+          });
+        });
+      }
+    });
+  };
+
+
+  /**
+   * Add a Server-Sent Events route that sends the changes made to a list
+   * @param {Model}  Model      Mongoose Model
+   * @param {Mixed}  middleware Express middleware to execute before route handler
+   * @param {Object} options    List options passed to addRoutes
+   */
+
+  var _addEvents = function (Model, middleware, options) {
+    var changes = _feeds[Model.modelName];
+    var routeHooks = hooks.get(options, 'show');
+
+    self.routes.push({
+      method: 'get',
+      action: 'events',
+      middleware: middleware,
+      route: _getBasePath(Model, options) + '/_events',
+      handler: function (req, res, next) {
+        var lastEventId = req.headers['last-event-id'],
+          queue = [],
+          writing = false,
+          closed = false,
+          scope = Model.find(),
+          criteria,
+          missed,
+          heartbeat,
+          unsubscribe;
+
+        // Write queued events in order, once the show transform hook has reshaped them
+        var drain = function () {
+          var event = queue.shift();
+
+          if (!event || closed) {
+            writing = false;
+            return;
+          }
+
+          writing = true;
+
+          hooks.transform(routeHooks.transform, req, [_getVisibleCopy(Model, req, event.doc)], function (err, docs) {
+            // Events the hook fails on are left out rather than sent untransformed
+            if (!err && !closed) {
+              res.write(feed.format(event, docs[0]));
+              if (typeof res.flush === 'function') { res.flush(); }
+            }
+
+            drain();
+          });
+        };
+
+        // Send events the client may see, matching its filters and the criteria of the show beforeQuery hook
+        var send = function (event) {
+          var doc = history.snapshot(event.doc);
+
+          if (!filters.matches(doc, criteria) || !filters.matches(doc, scope._conditions)) { return; }
+
+          queue.push(event);
+          if (!writing) { drain(); }
+        };
+
+        // Events are matched in node, where patterns from the client could run for too long
+        if (filters.uses(req.query, 'regex')) { return _send400(req, res, next, 'Event filters cannot use regular expressions'); }
+
+        try {
+          criteria = _getCriteria(req.query, Model, req, options);
+        } catch (err) {
+          return _sendError(err, req, res, next);
+        }
+
+        // Stop writing once the client is gone, which may be before the hook is done
+        res.on('close', function () {
+          closed = true;
+          clearInterval(heartbeat);
+          if (unsubscribe) { unsubscribe(); }
+        });
+
+        hooks.run(routeHooks.beforeQuery, [req, scope], function (err) {
+          if (closed) { return; }
+          if (err) { return _sendError(err, req, res, next); }
+
+          res.status(200);
+          res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+          });
+          res.write('retry: 3000\n\n');
+
+          // Replay what a reconnecting client missed, or tell it to reload when that's gone
+          if (lastEventId) {
+            missed = changes.since(lastEventId);
+            if (missed) {
+              missed.forEach(send);
+            } else {
+              res.write('event: reset\ndata: {}\n\n');
+            }
+          }
+
+          unsubscribe = changes.subscribe(send);
+          heartbeat = setInterval(function () {
+            res.write(': heartbeat\n\n');
+          }, _heartbeat);
+        });
+      }
+    });
+  };
+
+
+  /**
+   * Add a route downloading the file stored in each file field
+   * @param {Model}  Model      Mongoose Model
+   * @param {Mixed}  middleware Express middleware to execute before route handler
+   * @param {String} findBy     Path documents are identified by
+   * @param {Object} options    List options passed to addRoutes
+   */
+
+  var _addDownloads = function (Model, middleware, findBy, options) {
+    var collectionName = Model.collection.name.toLowerCase();
+    var paramName = Model.modelName.toLowerCase();
+    var routeHooks = hooks.get(options, 'show');
+
+    _.each(uploads.fileFields(_getFields(Model)), function (field) {
+      self.routes.push({
+        method: 'get',
+        action: 'download',
+        field: field.path,
+        middleware: middleware,
+        route: _getBasePath(Model, options) + '/:' + paramName + '/' + field.path,
+        handler: function (req, res, next) {
+          var criteria = {};
+
+          criteria[findBy] = req.params[paramName];
+
+          _runQuery(req, Model.findOne(_withTrash(Model, criteria)), routeHooks, function (err, item) {
+            var file,
+              filename;
+
+            if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+            if (!item) { return _send404(req, res, next, 'Could not find ' + collectionName + ' with id ' + req.params[paramName]); }
+            if (!permissions.allows(field.options.restSelected, req, item, self.getRoles)) { return _sendError(errors.create(403, 'You are not allowed to see ' + field.path), req, res, next); }
+
+            file = item.get(field.path);
+            filename = uploads.stored([field], history.snapshot(item))[0];
+
+            if (!filename) { return _send404(req, res, next, 'There is no file in ' + field.path); }
+
+            if (file.filetype) { res.type(file.filetype); }
+
+            res.download(filename, file.originalname || file.filename, function (err) {
+              if (!err || res.headersSent) { return; }
+              _sendError(err.code === 'ENOENT' ? errors.create(404, 'The file in ' + field.path + ' is missing') : err, req, res, next);
+            });
+          });
+        }
+      });
+    });
+  };
+
+
+  /**
+   * Add routes that list and revert the revisions of a document
+   * @param {Model}  Model      Mongoose Model
+   * @param {Object} middleware Map of show and update middleware, a route is only added for each one given
+   * @param {String} findBy     Path documents are identified by
+   * @param {Object} options    List options passed to addRoutes
+   */
+
+  var _addHistory = function (Model, middleware, findBy, options) {
+    var Revision = history.model(mongoose);
+    var collectionName = Model.collection.name.toLowerCase();
+    var paramName = Model.modelName.toLowerCase();
+    var versionKey = Model.schema.options.versionKey;
+    var route = _getBasePath(Model, options) + '/:' + paramName + '/_history';
+    var showHooks = hooks.get(options, 'show');
+    var updateHooks = hooks.get(options, 'update');
+    var fields = _getFields(Model);
+
+    // Find a document through the beforeQuery hook of the action, trashed documents keep their history
+    var load = function (req, withTrashed, routeHooks, callback) {
+      var criteria = {};
+
+      criteria[findBy] = req.params[paramName];
+
+      _runQuery(req, Model.findOne(withTrashed ? criteria : _withTrash(Model, criteria)), routeHooks, function (err, item) {
+        if (err && err.type !== 'ObjectId') { return callback(err); }
+        if (!item) { return callback(errors.create(404, 'Could not find ' + collectionName + ' with id ' + req.params[paramName])); }
+        callback(null, item);
+      });
+    };
+
+    // List the revisions of an item, newest first
+    if (middleware.show) {
+      self.routes.push({
+        method: 'get',
+        action: 'history',
+        middleware: middleware.show,
+        route: route,
+        handler: function (req, res, next) {
+          var paging;
+
+          try {
+            paging = pagination.parse(_.omit(req.query, 'sort'), Revision.schema, [], _.omit(options, 'cursor'));
+          } catch (err) {
+            return _sendError(err, req, res, next);
+          }
+
+          paging.sort = { _id: -1 };
+
+          load(req, true, showHooks, function (err, item) {
+            var criteria = { list: Model.modelName, item: item && item._id };
+
+            if (err) { return _sendError(err, req, res, next); }
+
+            Revision.count(criteria, function (err, total) {
+              if (err) { return _sendError(err, req, res, next); }
 
-    // One to many relationsihp
-    return options.type[0].ref;
-  };
+              pagination.apply(Revision.find(criteria), paging).exec(function (err, revisions) {
+                var links = pagination.links(req, paging, total, { docs: revisions });
 
+                if (err) { return _sendError(err, req, res, next); }
 
-  /**
-   * Add get route
-   * @param {Model}  model      Mongoose Model
-   * @param {Mixed}  middleware Express middleware to execute before route handler
-   * @param {String} selected   String passed to mongoose "select" method
-   */
+                res.setHeader('total', total);
+                if (links) { res.setHeader('Link', links); }
 
-  var _addList = function (Model, middleware, selected, relationships) {
+                // Only show changes to fields the request can see, as responses show them
+                res.json(revisions.map(function (revision) {
+                  var result = revision.toJSON();
 
-    // Get a list of items
-    self.routes.push({
-      method: 'get',
-      middleware: middleware,
-      route: '/api/' + Model.collection.name.toLowerCase(),
-      handler: function (req, res, next) {
-        var populated = req.query.populate ? req.query.populate.split(',') : [],
-          criteria = _.omit(req.query, ['populate', '_', 'limit', 'skip', 'sort', 'select']),
-          querySelect;
-
-        if (req.query.select) {
-          querySelect = req.query.select.split(',');
-          querySelect = querySelect.filter(function (field) {
-            return (selected.indexOf(field) > -1);
-          }).join(' ');
-        }
+                  result.changes = _.compact(result.changes.map(function (change) {
+                    var path = Model.schema.paths[change.path],
+                      before = adapters.format(fields, _.set({}, change.path, change.before), _adapters),
+                      after = adapters.format(fields, _.set({}, change.path, change.after), _adapters);
 
-        Model.find().count(function (err, count) {
-          if (err) { return _sendError(err, req, res, next); }
+                    if (!path || !permissions.allows(path.options.restSelected, req, item, self.getRoles)) { return undefined; }
+                    if (!_.has(before, change.path) || !_.has(after, change.path)) { return undefined; }
 
-          var query = Model.find(criteria).skip(req.query.skip)
-            .limit(req.query.limit)
-            .sort(req.query.sort)
-            .select(querySelect || selected);
+                    return _.extend(change, { before: _.get(before, change.path), after: _.get(after, change.path) });
+                  }));
 
-          populated.forEach(function (path) {
-            query.populate({
-              path: path,
-              select: _getSelected(mongoose.model(_getRefName(Model, path)).schema)
+                  return result;
+                }));
+              });
             });
           });
+        }
+      });
+    }
+
+    // Undo every change made after a revision
+    if (middleware.update) {
+      self.routes.push({
+        method: 'post',
+        action: 'revert',
+        middleware: middleware.update,
+        route: route + '/:revision/revert',
+        handler: function (req, res, next) {
+          load(req, false, updateHooks, function (err, item) {
+            var criteria = { list: Model.modelName, item: item && item._id };
 
-          query.exec(function (err, response) {
             if (err) { return _sendError(err, req, res, next); }
 
-            // Make total total accessible via response headers
-            res.setHeader('total', count);
-            res.json(response);
-          });
-        });
-      }
-    });
+            Revision.findOne(_.extend({ _id: req.params.revision }, criteria), function (err, revision) {
+              if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+              if (!revision) { return _send404(req, res, next, 'Could not find revision ' + req.params.revision + ' of ' + collectionName + ' with id ' + req.params[paramName]); }
 
+              criteria._id = { $gt: revision._id };
 
-    // Get a list of relationships
-    if (relationships) {
+              Revision.find(criteria).sort({ _id: -1 }).exec(function (err, revisions) {
+                var values,
+                  blocked,
+                  before;
 
-      _.each(relationships, function (relationship) {
-        self.routes.push({
-          method: 'get',
-          middleware: [],
-          route: '/api/' + Model.collection.name.toLowerCase() + '/:id/' + relationship,
-          handler: function (req, res, next) {
-            Model.findById(req.params.id).exec(function (err, result) {
-              var total,
-                criteria = _.omit(req.query, ['populate', '_', 'limit', 'skip', 'sort', 'select']),
-                ref,
-                query,
-                querySelect,
-                refSelected,
-                sortedResults = [];
+                if (err) { return _sendError(err, req, res, next); }
 
-              if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
-              if (!result) { return _send404(res, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params.id); }
-
-              total = result[relationship].length;
-              ref = Model.schema.paths[relationship].caster.options.ref;
-
-              refSelected = _getSelected(mongoose.model(ref).schema);
-
-              query = mongoose.model(ref)
-                .find(criteria)
-                .in('_id', result[relationship])
-                .limit(req.query.limit)
-                .skip(req.query.skip)
-                .sort(req.query.sort);
-
-              if (req.query.select) {
-                querySelect = req.query.select.split(',');
-                querySelect = querySelect.filter(function (field) {
-                  return (refSelected.indexOf(field) > -1);
-                }).join(' ');
-                query.select(querySelect);
-              }
+                values = history.undo(revisions);
+                blocked = _.intersection(_.keys(values), _getUneditable(Model.schema, req, item));
 
-              if (req.query.populate && typeof req.query.populate === 'string') {
-                query.populate(req.query.populate);
-              }
+                if (blocked.length) { return _sendError(errors.create(403, 'You are not allowed to change ' + blocked.join(', ')), req, res, next); }
 
-              query.exec(function (err, response) {
+                err = _checkIfMatch(req, Model, item);
                 if (err) { return _sendError(err, req, res, next); }
 
-                // Put relationship results into same order
-                // that they appear in document
-                if (!req.query.sort) {
-                  result[relationship].forEach(function (_id, i) {
-                    sortedResults[i] = _.findWhere(response, { _id: _id });
-                  });
-                  response = sortedResults;
-                }
+                before = history.snapshot(item);
+                _.each(values, function (value, path) { item.set(path, value); });
+                if (versionKey) { item.increment(); }
 
-                // Make total total accessible via response headers
-                res.setHeader('total', total);
-                res.json(response);
+                _save(Model, req, item, { action: 'revert', revertedTo: revision._id }, before, updateHooks, function (err, item) {
+                  if (err) { return _sendError(err, req, res, next); }
+                  _sendSaved(req, res, next, Model, options, item, updateHooks);
+                });
               });
             });
-          }
-        });
+          });
+        }
       });
     }
   };
@@ -291,46 +2533,47 @@ function KeystoneRest() {
    * Add list route
    * @param {Model}  model      Mongoose Model
    * @param {Mixed}  middleware Express middleware to execute before route handler
-   * @param {String} selected   String passed to mongoose "select" method
+   * @param {String} findBy     Path documents are identified by
+   * @param {Object} options    List options passed to addRoutes
    */
 
-  var _addShow = function (Model, middleware, selected, findBy) {
-    var collectionName = Model.collection.name.toLowerCase();
+  var _addShow = function (Model, middleware, findBy, options) {
     var paramName = Model.modelName.toLowerCase();
+    var routeHooks = hooks.get(options, 'show');
 
     // Get one item
     self.routes.push({
       method: 'get',
+      action: 'show',
       middleware: middleware,
-      route: '/api/' + collectionName + '/:' + paramName,
+      route: _getBasePath(Model, options) + '/:' + paramName,
       handler: function (req, res, next) {
-        var populated = req.query.populate ? req.query.populate.split(',') : [];
-        var criteria = {};
-        var querySelect;
-
-        if (req.query.select) {
-          querySelect = req.query.select.split(',');
-          querySelect = querySelect.filter(function (field) {
-            return (selected.indexOf(field) > -1);
-          }).join(' ');
-        }
+        var criteria = {},
+          populated;
 
         criteria[findBy] = req.params[paramName];
 
-        var query = Model.findOne(criteria)
-          .select(querySelect || selected);
+        try {
+          populated = _getPopulate(Model, req, options);
+        } catch (err) {
+          return _sendError(err, req, res, next);
+        }
 
-        populated.forEach(function (path) {
-          query.populate({
-            path: path,
-            select: _getSelected(mongoose.model(_getRefName(Model, path)).schema)
-          });
-        });
+        var query = Model.findOne(_withTrash(Model, criteria))
+          .select(_getQuerySelect(req, _getSelected(Model.schema, req), _getConditionalPaths(Model, options).concat(_.pluck(populated, 'path'))));
+
+        hooks.run(routeHooks.beforeQuery, [req, query], function (err) {
+          if (err) { return _sendError(err, req, res, next); }
+
+          query.exec(function (err, result) {
+            if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+            if (!result) { return _send404(req, res, next, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params[paramName]); }
 
-        query.exec(function (err, result) {
-          if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
-          if (!result) { return _send404(res, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params.id); }
-          res.json(result);
+            _populate(Model, result, populated, function (err) {
+              if (err) { return _sendError(err, req, res, next); }
+              _sendDoc(req, res, next, Model, options, result, populated, routeHooks);
+            });
+          });
         });
       }
     });
@@ -341,29 +2584,47 @@ function KeystoneRest() {
    * Add post route
    * @param {Model}  Model      Mongoose Model
    * @param {Mixed}  middleware Express middleware to execute before route handler
-   * @param {String} selected   String passed to mongoose "select" method
+   * @param {Object} options    List options passed to addRoutes
    */
 
-  var _addCreate = function (Model, middleware, selected) {
+  var _addCreate = function (Model, middleware, options) {
+    var routeHooks = hooks.get(options, 'create');
+
+    middleware = _withUploads(Model, middleware);
+
+    // Create a document from the request body
+    var create = function (req, callback) {
+      var item;
+
+      try {
+        _parseBody(Model, req.body);
+      } catch (err) {
+        return callback(err);
+      }
+
+      item = new Model(_.omit(req.body, _getUneditable(Model.schema, req)));
+
+      _storeFiles(Model, req, item, function (err) {
+        if (err) { return callback(err); }
+        _save(Model, req, item, { action: 'create' }, null, routeHooks, _unstoreOnError(req, callback));
+      });
+    };
+
+    _creators[Model.modelName] = _creators[Model.modelName] || { middleware: middleware, create: create };
 
     // Create a new item
     self.routes.push({
       method: 'post',
+      action: 'create',
       middleware: middleware,
-      route: '/api/' + Model.collection.name.toLowerCase(),
+      route: _getBasePath(Model, options),
       handler: function (req, res, next) {
-        var item;
-
-        _flattenRelationships(Model, req.body);
-
-        item = new Model(req.body);
-
-        item.save(function (err, item) {
+        _readDocument(req, Model, options, function (err) {
           if (err) { return _sendError(err, req, res, next); }
 
-          Model.findById(item._id).select(selected).exec(function (err, item) {
+          create(req, function (err, item) {
             if (err) { return _sendError(err, req, res, next); }
-            res.json(item);
+            _sendSaved(req, res, next, Model, options, item, routeHooks);
           });
         });
       }
@@ -372,51 +2633,146 @@ function KeystoneRest() {
 
 
   /**
-   * Add put route
+   * Add put and patch routes. PUT replaces the document, PATCH accepts JSON
+   * Patch, JSON Merge Patch or a plain object of fields to set.
    * @param {Model}  Model      Mongoose Model
    * @param {Mixed}  middleware Express middleware to execute before route handler
-   * @param {String} selected   String passed to mongoose "select" method
-   * @param {Array}  uneditable Array of fields to remove from post
+   * @param {String} findBy     Path documents are identified by
+   * @param {Object} options    List options passed to addRoutes
    */
 
-  var _addUpdate = function (Model, middleware, uneditable, selected, findBy) {
-    var collectionName = Model.collection.name.toLowerCase();
+  var _addUpdate = function (Model, middleware, findBy, options) {
     var paramName = Model.modelName.toLowerCase();
     var versionKey = Model.schema.options.versionKey;
+    var routeHooks = hooks.get(options, 'update');
+    var atomicPaths = typeof options.atomic === 'string' ? options.atomic.split(/[\s,]+/) : options.atomic || [];
 
-    var handler = function (req, res, next) {
-      var populated = req.query.populate ? req.query.populate.split(',') : '';
-      var criteria = {};
-      var querySelect;
+    // File details are only set by uploads
+    atomicPaths = _.reject(atomicPaths, function (name) {
+      return uploads.isFilePath(uploads.fileFields(_getFields(Model)), name);
+    });
+
+    middleware = _withUploads(Model, middleware);
+
+    // Apply the request body to a document, returns an error if it can't be applied
+    var applyBody = function (req, item, body, patchType) {
+      var before;
 
-      if (req.query.select) {
-        querySelect = req.query.select.split(',');
-        querySelect = querySelect.filter(function (field) {
-          return (selected.indexOf(field) > -1);
-        }).join(' ');
+      if (_.isPlainObject(body) && body[versionKey] < item[versionKey]) { return new mongoose.Error.VersionError(); }
+
+      // Plain PATCH bodies only set the fields they contain
+      if (req.method === 'PATCH' && !patchType) {
+        _.extend(item, _.omit(body, _getUneditable(Model.schema, req, item)));
+        return;
       }
 
-      criteria[findBy] = req.params[paramName];
+      before = _getVisibleCopy(Model, req, item);
+
+      try {
+        if (patchType === 'json') { body = patch.applyJsonPatch(before, body); }
+        if (patchType === 'merge') { body = patch.applyMergePatch(before, body); }
+      } catch (err) {
+        return err;
+      }
+
+      if (!_.isPlainObject(body)) { return errors.create(400, 'The ' + Model.modelName.toLowerCase() + ' must be an object'); }
+
+      _setChanges(Model, req, item, before, body);
+    };
+
+    // Read patches as they are, and other bodies through the list's serializer
+    var readBody = function (req, callback) {
+      _readPatch(req, function (err, parsed) {
+        if (err || parsed) { return callback(err, parsed); }
+
+        _readDocument(req, Model, options, function (err) {
+          callback(err);
+        });
+      });
+    };
+
+    // Save the changes of a request, as a single update when the body holds operators
+    var saveChanges = function (req, item, patchType, callback) {
+      var before = history.snapshot(item),
+        update,
+        err;
+
+      if (req.method === 'PATCH' && !patchType && atomic.isAtomic(req.body)) {
+        if (req.body[versionKey] < item[versionKey]) { return callback(new mongoose.Error.VersionError()); }
+
+        try {
+          update = atomic.parse(req.body, atomicPaths, _getUneditable(Model.schema, req, item), versionKey);
+        } catch (parseErr) {
+          return callback(parseErr);
+        }
+
+        return _saveAtomic(Model, req, item, update, !!req.headers['if-match'] || req.body[versionKey] !== undefined, routeHooks, callback);
+      }
+
+      err = applyBody(req, item, req.body, patchType);
+      if (err) { return callback(err); }
+
+      // Bump the version on every save so ETags change with the document
+      if (versionKey) { item.increment(); }
 
-      _flattenRelationships(Model, req.body);
-      req.body = _.omit(req.body, uneditable);
+      _storeFiles(Model, req, item, function (err) {
+        if (err) { return callback(err); }
+        _save(Model, req, item, { action: 'update' }, before, routeHooks, _unstoreOnError(req, callback));
+      });
+    };
+
+    var handler = function (req, res, next) {
+      var criteria = {},
+        populated;
 
-      Model.findOne(criteria).exec(function (err, item) {
+      criteria[findBy] = req.params[paramName];
+
+      try {
+        populated = _getPopulate(Model, req, options);
+      } catch (err) {
+        return _sendError(err, req, res, next);
+      }
 
-        /*jslint unparam: true */
-        if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
-        if (!item) { return _send404(res, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params.id); }
+      readBody(req, function (err, parsed) {
+        var patchType = parsed ? parsed.type : undefined,
+          query = Model.findOne(_withTrash(Model, criteria));
 
-        if (req.body[versionKey] < item[versionKey]) { return _sendError(new mongoose.Error.VersionError(), req, res, next); }
+        if (err) { return _sendError(err, req, res, next); }
 
-        _.extend(item, req.body);
+        if (parsed) { req.body = parsed.body; }
+        if (patchType !== 'json') {
+          try {
+            _parseBody(Model, req.body);
+          } catch (err) {
+            return _sendError(err, req, res, next);
+          }
+        }
 
-        item.save(function (err, item) {
+        hooks.run(routeHooks.beforeQuery, [req, query], function (err) {
           if (err) { return _sendError(err, req, res, next); }
 
-          Model.findOne(criteria).select(querySelect || selected).populate(populated).exec(function (err, item) {
+          query.exec(function (err, item) {
+            /*jslint unparam: true */
+            if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+            if (!item) { return _send404(req, res, next, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params[paramName]); }
+
+            err = _checkIfMatch(req, Model, item);
             if (err) { return _sendError(err, req, res, next); }
-            res.json(item);
+
+            saveChanges(req, item, patchType, function (err) {
+              if (err) { return _sendError(err, req, res, next); }
+
+              var query = Model.findOne(criteria).select(_getQuerySelect(req, _getSelected(Model.schema, req), _getConditionalPaths(Model, options).concat(_.pluck(populated, 'path'))));
+
+              query.exec(function (err, item) {
+                if (err) { return _sendError(err, req, res, next); }
+
+                _populate(Model, item, populated, function (err) {
+                  if (err) { return _sendError(err, req, res, next); }
+                  _sendDoc(req, res, next, Model, options, item, populated, routeHooks);
+                });
+              });
+            });
           });
         });
       });
@@ -425,49 +2781,270 @@ function KeystoneRest() {
     // Update an item having a given key
     self.routes.push({
       method: 'put',
+      action: 'update',
       middleware: middleware,
-      route: '/api/' + collectionName + '/:' + paramName,
+      route: _getBasePath(Model, options) + '/:' + paramName,
       handler: handler
     });
 
     self.routes.push({
       method: 'patch',
+      action: 'update',
       middleware: middleware,
-      route: '/api/' + collectionName + '/:' + paramName,
+      route: _getBasePath(Model, options) + '/:' + paramName,
       handler: handler
     });
   };
 
 
+  /**
+   * Add bulk create, update and delete routes
+   * @param {Model}  Model      Mongoose Model
+   * @param {Object} middleware Map of create, update and delete middleware
+   * @param {String} findBy     Path documents are identified by
+   * @param {Object} options    List options passed to addRoutes
+   */
+
+  var _addBulk = function (Model, middleware, findBy, options) {
+    var collectionName = Model.collection.name.toLowerCase();
+    var versionKey = Model.schema.options.versionKey;
+    var bulkLimit = options.bulkLimit || 1000;
+    var serializer = _getSerializer(options);
+    var createHooks = hooks.get(options, 'create');
+    var updateHooks = hooks.get(options, 'update');
+    var deleteHooks = hooks.get(options, 'delete');
+
+    // Let single documents fall through to the create route
+    var arraysOnly = function (req, res, next) {
+      _readSerializerBody(req, options, function (err) {
+        if (err) { return _sendError(err, req, res, next); }
+        next(_.isArray(req.body) ? undefined : 'route');
+      });
+    };
+
+    // Create many items
+    self.routes.push({
+      method: 'post',
+      action: 'bulkCreate',
+      middleware: [arraysOnly].concat(middleware.create),
+      route: _getBasePath(Model, options),
+      handler: function (req, res, next) {
+        var results = [],
+          uneditable = _getUneditable(Model.schema, req),
+          context = { resource: _describe(Model, req, []) };
+
+        if (req.body.length > bulkLimit) { return _send400(req, res, next, 'Bulk requests are limited to ' + bulkLimit + ' items'); }
+
+        // Each item is shaped like the body of a single create
+        _eachSeries(req.body, function (body, index, done) {
+          var item;
+
+          if (!_.isPlainObject(body)) {
+            results.push(_bulkFailure(index, undefined, 'Expected an object'));
+            return done();
+          }
+
+          try {
+            body = serializer.parse(body, context);
+            _parseBody(Model, body);
+          } catch (err) {
+            results.push(_bulkFailure(index, undefined, err));
+            return done();
+          }
+
+          item = new Model(_.omit(body, uneditable));
+
+          _save(Model, req, item, { action: 'create' }, null, createHooks, function (err, item) {
+            results.push(err ? _bulkFailure(index, undefined, err) : { index: index, id: item.get(findBy), success: true });
+            done();
+          });
+        }, function () {
+          _sendBulk(req, res, next, Model, true, findBy, results);
+        });
+      }
+    });
+
+    // Update many items, each described by { id: key, changes: {} }
+    self.routes.push({
+      method: 'patch',
+      action: 'bulkUpdate',
+      middleware: middleware.update,
+      route: _getBasePath(Model, options),
+      handler: function (req, res, next) {
+        var results = [];
+
+        if (!_.isArray(req.body)) { return _send400(req, res, next, 'Expected an array of changes'); }
+        if (req.body.length > bulkLimit) { return _send400(req, res, next, 'Bulk requests are limited to ' + bulkLimit + ' items'); }
+
+        _eachSeries(req.body, function (change, index, done) {
+          var criteria = {};
+
+          if (!_.isPlainObject(change) || change.id === undefined || !_.isPlainObject(change.changes)) {
+            results.push(_bulkFailure(index, change && change.id, 'Expected an object with id and changes'));
+            return done();
+          }
+
+          criteria[findBy] = change.id;
+
+          _runQuery(req, Model.findOne(_withTrash(Model, criteria)), updateHooks, function (err, item) {
+            var changes,
+              before;
+
+            if (err && err.type !== 'ObjectId') { results.push(_bulkFailure(index, change.id, err)); return done(); }
+            if (!item) { results.push(_bulkFailure(index, change.id, errors.create(404, 'Could not find ' + collectionName + ' with id ' + change.id))); return done(); }
+
+            try {
+              _parseBody(Model, change.changes);
+            } catch (err) {
+              results.push(_bulkFailure(index, change.id, err));
+              return done();
+            }
+
+            changes = _.omit(change.changes, _getUneditable(Model.schema, req, item));
+
+            if (changes[versionKey] < item[versionKey]) {
+              results.push(_bulkFailure(index, change.id, new mongoose.Error.VersionError()));
+              return done();
+            }
+
+            before = history.snapshot(item);
+            _.extend(item, changes);
+            if (versionKey) { item.increment(); }
+
+            _save(Model, req, item, { action: 'update' }, before, updateHooks, function (err, item) {
+              results.push(err ? _bulkFailure(index, change.id, err) : { index: index, id: item.get(findBy), success: true });
+              done();
+            });
+          });
+        }, function () {
+          _sendBulk(req, res, next, Model, true, findBy, results);
+        });
+      }
+    });
+
+    // Delete items matching a filter or a list of ids ({ ids: [] } or ?ids=a,b)
+    self.routes.push({
+      method: 'delete',
+      action: 'bulkDelete',
+      middleware: middleware.delete,
+      route: _getBasePath(Model, options),
+      handler: function (req, res, next) {
+        var ids = req.body && req.body.ids,
+          malformed = [],
+          criteria,
+          condition = {};
+
+        // Ids that can't be cast to the key path fail on their own instead of failing the query
+        var castable = function (id) {
+          try {
+            Model.schema.path(findBy).cast(id);
+          } catch (err) {
+            return false;
+          }
+
+          return true;
+        };
+
+        if (!ids && req.query.ids) { ids = req.query.ids.split(','); }
+        if (ids && !_.isArray(ids)) { return _send400(req, res, next, 'Expected ids to be an array'); }
+
+        try {
+          criteria = _getCriteria(_.omit(req.query, 'ids'), Model, req, options);
+        } catch (err) {
+          return _sendError(err, req, res, next);
+        }
+
+        // Never delete a whole collection by accident
+        if (!ids && _.isEmpty(criteria)) { return _send400(req, res, next, 'Provide ids or a filter to delete ' + collectionName); }
+        if (ids && ids.length > bulkLimit) { return _send400(req, res, next, 'Bulk requests are limited to ' + bulkLimit + ' items'); }
+
+        if (ids) {
+          malformed = _.reject(ids, castable);
+          condition[findBy] = { $in: _.difference(ids, malformed) };
+          criteria = { $and: [criteria, condition] };
+        }
+
+        _runQuery(req, Model.find(_withTrash(Model, criteria)).limit(bulkLimit + 1), deleteHooks, function (err, items) {
+          var results = [];
+
+          if (err) { return _sendError(err, req, res, next); }
+          if (items.length > bulkLimit) { return _send400(req, res, next, 'More than ' + bulkLimit + ' ' + collectionName + ' match, narrow the filter'); }
+
+          // Report ids that are malformed or did not match anything
+          _.each(ids, function (id, index) {
+            var found = _.find(items, function (item) {
+              return String(item.get(findBy)) === String(id);
+            });
+
+            if (malformed.indexOf(id) !== -1) {
+              results.push(_bulkFailure(index, id, errors.create(400, 'Invalid id ' + id)));
+            } else if (!found) {
+              results.push(_bulkFailure(index, id, errors.create(404, 'Could not find ' + collectionName + ' with id ' + id)));
+            }
+          });
+
+          // Remove one by one so middleware hooks (pre,post) will execute
+          _eachSeries(items, function (item, index, done) {
+            var id = item.get(findBy);
+
+            if (ids) { index = _.findIndex(ids, function (value) { return String(value) === String(id); }); }
+
+            _remove(Model, req, item, deleteHooks, function (err) {
+              results.push(err ? _bulkFailure(index, id, err) : { index: index, id: id, success: true });
+              done();
+            });
+          }, function () {
+            _sendBulk(req, res, next, Model, false, findBy, _.sortBy(results, 'index'));
+          });
+        });
+      }
+    });
+  };
+
+
   /**
    * Add delete route
    * @param {Model} model      Mongoose Model
    * @param {Mixed} middleware Express middleware to execute before route handler
+   * @param {String} findBy    Path documents are identified by
+   * @param {Object} options   List options passed to addRoutes
    */
 
-  var _addDelete = function (Model, middleware, findBy) {
+  var _addDelete = function (Model, middleware, findBy, options) {
     var collectionName = Model.collection.name.toLowerCase();
     var paramName = Model.modelName.toLowerCase();
+    var routeHooks = hooks.get(options, 'delete');
 
     // Delete an item having a given id
     self.routes.push({
       method: 'delete',
+      action: 'delete',
       middleware: middleware,
-      route: '/api/' + collectionName + '/:' + paramName,
+      route: _getBasePath(Model, options) + '/:' + paramName,
       handler: function (req, res, next) {
-        var criteria = {};
+        var criteria = {},
+          query;
 
         criteria[findBy] = req.params[paramName];
+        query = Model.findOne(_withTrash(Model, criteria));
 
-        // First find so middleware hooks (pre,post) will execute
-        Model.findOne(criteria, function (err, item) {
-          if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
-          if (!item) { return _send404(res, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params.id); }
+        hooks.run(routeHooks.beforeQuery, [req, query], function (err) {
+          if (err) { return _sendError(err, req, res, next); }
 
-          item.remove(function (err) {
-            if (err) { return _sendError(err, req, res, next); }
-            res.json({
-              message: 'Successfully deleted ' + collectionName
+          // First find so middleware hooks (pre,post) will execute
+          query.exec(function (err, item) {
+            if (err && err.type !== 'ObjectId') { return _sendError(err, req, res, next); }
+            if (!item) { return _send404(req, res, next, 'Could not find ' + Model.collection.name.toLowerCase() + ' with id ' + req.params[paramName]); }
+
+            var stale = _checkIfMatch(req, Model, item);
+
+            if (stale) { return _sendError(stale, req, res, next); }
+
+            _remove(Model, req, item, routeHooks, function (err) {
+              if (err) { return _sendError(err, req, res, next); }
+              res.json({
+                message: 'Successfully deleted ' + collectionName
+              });
             });
           });
         });
@@ -476,28 +3053,62 @@ function KeystoneRest() {
   };
 
 
+  /**
+   * Get the middleware of an action, after the instance's default middleware
+   * @param  {String} action     Route action (list, show, create, update, delete, openapi)
+   * @param  {Mixed}  middleware Middleware given for the action
+   * @return {Array}
+   */
+
+  var _getMiddleware = function (action, middleware) {
+    var defaults = _.isPlainObject(self.middleware) ? self.middleware[action] : self.middleware;
+
+    return [].concat(defaults || [], middleware || []);
+  };
+
+
   /**
    * Add routes
    * @param {Object} keystoneList  Instance of KeystoneList
-   * @param {String} methods       Methods to expose('list show create update delete')
+   * @param {String} methods       Methods to expose('list show create update delete bulk aggregate')
    * @param {Object} middleware    Map containing middleware to execute for each action ({ list: [middleware] })
    * @param {String} relationships Space separated list of relationships to build routes for
+   * @param {Object} options       List options
+   * @param {Number} options.defaultLimit Page size used when the request has no limit
+   * @param {Number} options.maxLimit     Largest page size a request may ask for
+   * @param {Boolean} options.cursor      Page with after/before cursors instead of skip
+   * @param {Number} options.bulkLimit    Most items a bulk request may contain (1000)
+   * @param {String} options.lastModified Date path used for Last-Modified (updatedAt)
+   * @param {String} options.prefix       Path routes are added under (keystoneRest.prefix)
+   * @param {String} options.resource     Name of the list in urls (collection name)
+   * @param {Number} options.populateDepth Most levels populate may go (2)
+   * @param {Mixed}  options.searchFields Fields searched by q (the list's searchFields)
+   * @param {Boolean} options.strictFilters Respond with 400 to query params that aren't fields, instead of ignoring them
+   * @param {Array}  options.aggregateFields Fields _aggregate may group and aggregate on (all selected fields)
+   * @param {Boolean} options.stream      Stream list and relationship responses through a query cursor
+   * @param {Number} options.streamLimit  Most documents a streamed response may hold (10000)
+   * @param {Boolean} options.softDelete  Move deleted documents to a trash, needs a deletedAt field
+   * @param {Boolean} options.history     Record changes and add _history routes
+   * @param {Mixed}  options.atomic      Paths PATCH may change with update operators such as $inc
+   * @param {Boolean} options.events      Add an _events route streaming changes as Server-Sent Events
+   * @param {Number} options.eventBuffer  Most events kept for clients resuming with Last-Event-ID (100)
+   * @param {Mixed}  options.serializer   Name of the serializer responses use, or a serializer (keystoneRest.serializer)
    */
 
-  this.addRoutes = function (keystoneList, methods, middleware, relationships) {
+  this.addRoutes = function (keystoneList, methods, middleware, relationships, options) {
     // Get reference to mongoose for internal use
-    mongoose = keystone.mongoose;
+    mongoose = config.mongoose || self.keystone.mongoose;
 
     var findBy;
     var Model = keystoneList.model;
+    var firstRoute = self.routes.length;
 
     if (!Model instanceof mongoose.model) { throw new Error('keystoneList is required'); }
     if (!methods) { throw new Error('Methods are required'); }
     if (!mongoose) { throw new Error('Keystone must be initialized before attempting to add routes'); }
+    if (options && options.softDelete && !Model.schema.paths.deletedAt) { throw new Error('softDelete needs a deletedAt field on ' + keystoneList.key); }
 
-    var selected = _getSelected(Model.schema),
-      uneditable = _getUneditable(Model.schema),
-      listMiddleware,
+    var listMiddleware,
       showMiddleware,
       createMiddleware,
       updateMiddleware,
@@ -514,31 +3125,191 @@ function KeystoneRest() {
 
     // Set up default middleware
     middleware = middleware || {};
-    listMiddleware = middleware.list || [];
-    showMiddleware = middleware.show || [];
-    createMiddleware = middleware.create || [];
-    updateMiddleware = middleware.update || [];
-    deleteMiddleware = middleware.delete || [];
+    listMiddleware = _getMiddleware('list', middleware.list);
+    showMiddleware = _getMiddleware('show', middleware.show);
+    createMiddleware = _getMiddleware('create', middleware.create);
+    updateMiddleware = _getMiddleware('update', middleware.update);
+    deleteMiddleware = _getMiddleware('delete', middleware.delete);
 
     relationships = relationships ? relationships.split(' ') : [];
+    options = options || {};
+
+    if (!_getSerializer(options)) { throw new Error('Unknown serializer ' + (options.serializer || self.serializer)); }
+
+    _resources[Model.modelName] = _resources[Model.modelName] || {
+      type: options.resource || Model.collection.name.toLowerCase(),
+      path: _getBasePath(Model, options),
+      key: findBy
+    };
+
+    // Kept on the schema so every instance adding the model honours them
+    if (options.softDelete) { Model.schema.set('restSoftDelete', true); }
+    if (options.history) { Model.schema.set('restHistory', true); }
+    if (options.events) { _feeds[Model.modelName] = _feeds[Model.modelName] || feed.create(options.eventBuffer || 100); }
+
+    if (methods.indexOf('list') !== -1) { _addList(Model, listMiddleware, relationships, options); }
+    if (methods.indexOf('aggregate') !== -1) { _addAggregate(Model, listMiddleware, options); }
+    if (methods.indexOf('delete') !== -1 && options.softDelete) { _addTrash(Model, deleteMiddleware, findBy, options); }
+    if (options.events) { _addEvents(Model, showMiddleware, options); }
+    if (methods.indexOf('show') !== -1) { _addShow(Model, showMiddleware, findBy, options); }
+    if (methods.indexOf('show') !== -1) { _addDownloads(Model, showMiddleware, findBy, options); }
+    if (methods.indexOf('bulk') !== -1) {
+      _addBulk(Model, {
+        create: createMiddleware,
+        update: updateMiddleware,
+        delete: deleteMiddleware
+      }, findBy, options);
+    }
+    if (methods.indexOf('create') !== -1) { _addCreate(Model, createMiddleware, options); }
+    if (methods.indexOf('update') !== -1) { _addUpdate(Model, updateMiddleware, findBy, options); }
+    if (methods.indexOf('update') !== -1) { _addRelationshipUpdates(Model, updateMiddleware, relationships, options); }
+    if (methods.indexOf('delete') !== -1) { _addDelete(Model, deleteMiddleware, findBy, options); }
+    if (options.history) {
+      _addHistory(Model, {
+        show: methods.indexOf('show') !== -1 ? showMiddleware : undefined,
+        update: methods.indexOf('update') !== -1 ? updateMiddleware : undefined
+      }, findBy, options);
+    }
+
+    // Remember which list each route belongs to so it can be described
+    _.each(self.routes.slice(firstRoute), function (route) {
+      route.list = keystoneList;
+      route.findBy = findBy;
+      route.options = options;
+      route.serializer = _getSerializer(options);
+    });
+  };
+
+
+  /**
+   * Describe every route added with addRoutes as an OpenAPI 3 document
+   * @param  {Object} info OpenAPI info object, defaults to the keystone app name
+   * @return {Object}      OpenAPI document
+   */
+
+  this.getOpenApiSpec = function (info) {
+    return openapi.generate(self.routes, function (key) {
+      return self.keystone.list(key);
+    }, _.defaults({}, info, {
+      title: self.keystone.get('name') || 'API',
+      version: '1.0.0'
+    }));
+  };
+
+
+  /**
+   * Add a GET <prefix>/openapi.json route serving getOpenApiSpec
+   * @param {Array}  middleware Express middleware to execute before route handler
+   * @param {Object} info       OpenAPI info object passed to getOpenApiSpec
+   */
+
+  this.addOpenApiRoute = function (middleware, info) {
+    self.routes.push({
+      method: 'get',
+      action: 'openapi',
+      middleware: _getMiddleware('openapi', middleware),
+      route: String(self.prefix).replace(/\/+$/, '') + '/openapi.json',
+      handler: function (req, res) {
+        res.json(self.getOpenApiSpec(info));
+      }
+    });
+  };
+
+
+  /**
+   * Add a POST <prefix>/_batch route running many operations through the
+   * other routes in one request
+   * @param {Array}  middleware    Express middleware to execute before route handler
+   * @param {Object} options       Batch options
+   * @param {Number} options.limit Most operations a batch may contain (20)
+   */
+
+  this.addBatchRoute = function (middleware, options) {
+    var limit = (options && options.limit) || 20;
+
+    // Routes that stream, or would batch again, can't be operations
+    var unbatchable = ['batch', 'events', 'download'];
+
+    self.routes.push({
+      method: 'post',
+      action: 'batch',
+      middleware: _getMiddleware('batch', middleware),
+      route: String(self.prefix).replace(/\/+$/, '') + '/_batch',
+      handler: function (req, res, next) {
+        var operations = req.body,
+          sequential = req.query.sequential === 'true',
+          router = self.keystone.express.Router(),
+          results = [],
+          pending;
+
+        // Run one operation, a failure only fails its own result
+        var run = function (operation, index, done) {
+          var err = batch.validate(operation);
+
+          if (!err && sequential) {
+            try {
+              operation = _.extend({}, operation, {
+                path: batch.resolve(operation.path, results),
+                body: batch.resolve(operation.body, results)
+              });
+            } catch (resolveErr) {
+              err = resolveErr;
+            }
+          }
+
+          if (err) {
+            results[index] = batch.failure(err);
+            return done();
+          }
+
+          batch.dispatch(router, req, operation, function (result) {
+            results[index] = result;
+            done();
+          });
+        };
+
+        var send = function () {
+          res.json(results);
+        };
+
+        if (!_.isArray(operations)) { return _send400(req, res, next, 'Expected an array of operations'); }
+        if (operations.length > limit) { return _sendError(errors.create(413, 'Batch requests are limited to ' + limit + ' operations'), req, res, next); }
+        if (!sequential && batch.hasReferences(operations)) { return _send400(req, res, next, 'Operations can only refer to earlier results in sequential mode'); }
+
+        _.each(self.routes, function (route) {
+          if (unbatchable.indexOf(route.action) === -1) { router[route.method](route.route, route.middleware, route.handler); }
+        });
+
+        if (sequential) { return _eachSeries(operations, run, send); }
 
-    if (methods.indexOf('list') !== -1) { _addList(Model, listMiddleware, selected, relationships); }
-    if (methods.indexOf('show') !== -1) { _addShow(Model, showMiddleware, selected, findBy); }
-    if (methods.indexOf('create') !== -1) { _addCreate(Model, createMiddleware, selected); }
-    if (methods.indexOf('update') !== -1) { _addUpdate(Model, updateMiddleware, uneditable, selected, findBy); }
-    if (methods.indexOf('delete') !== -1) { _addDelete(Model, deleteMiddleware, findBy); }
+        pending = operations.length;
+        if (!pending) { return send(); }
+
+        operations.forEach(function (operation, index) {
+          run(operation, index, function () {
+            pending -= 1;
+            if (!pending) { send(); }
+          });
+        });
+      }
+    });
   };
 
 
   /**
    * Register routes
-   * @param  {Object} app Express app
+   * @param  {Object} app Express app or router, a new router is created if omitted
+   * @return {Object}     The app or router routes were added to
    */
 
   this.registerRoutes = function (app) {
+    app = app || self.keystone.express.Router();
+
     _.each(self.routes, function (route) {
       app[route.method](route.route, route.middleware, route.handler);
     });
+
+    return app;
   };
 }
 
@@ -546,4 +3317,7 @@ function KeystoneRest() {
 ** Exports
 */
 
-module.exports = new KeystoneRest();
\ No newline at end of file
+module.exports = new KeystoneRest();
+
+// Create more instances with new keystoneRest.KeystoneRest(config)
+module.exports.KeystoneRest = KeystoneRest;
\ No newline at end of file
@@ -0,0 +1,236 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Converts request bodies and responses between what clients send and
+  what Keystone field types store.</p>
+  <p>Each adapter is keyed by the field type name (the <code>type</code> of a
+  Keystone field, such as <code>name</code> or <code>location</code>) and may
+  have a <code>parse</code> function, called with body values before they are
+  set on a document, and a <code>format</code> function, called with response
+  values. Both get the value and the Keystone field. <code>parse</code> throws
+  an error from lib/errors for invalid input, <code>format</code> returns
+  undefined to leave a value out of responses. Null and undefined are never
+  passed to either, so fields can still be cleared. Adapters with
+  <code>hidden</code> leave the field out of every response, and the field
+  can't be filtered, sorted or grouped on.</p>
+  <pre>
+  { name: 'Jane Doe' }                       { name: { first: 'Jane', last: 'Doe' } }
+  { location: '-33.86,151.21' }              { location: { geo: [151.21, -33.86] } }
+  { publishedDate: '2015-03-02' }            { publishedDate: new Date('2015-03-02') }
+  { price: '$1,200.50' }                     { price: 1200.5 }
+  </pre>
+ */
+
+
+/**
+ * Read a date from an ISO string or a timestamp
+ * @param  {Mixed}  value Body value
+ * @param  {Field}  field Keystone field
+ * @return {Date}
+ */
+
+var _parseDate = function (value, field) {
+  var date;
+
+  if (_.isDate(value)) { return value; }
+  if (typeof value === 'number' || /^-?\d+$/.test(value)) { date = new Date(Number(value)); }
+  if (typeof value === 'string' && !date) { date = new Date(value); }
+
+  if (!date || isNaN(date.getTime())) { throw errors.create(400, 'Expected a date for ' + field.path); }
+
+  return date;
+};
+
+
+/**
+ * Read a point from "lat,lng", [lng, lat] or { lat, lng }
+ * @param  {Mixed}  value Body value
+ * @param  {Field}  field Keystone field
+ * @return {Array}        Point as MongoDB stores it, [lng, lat]
+ */
+
+var _parsePoint = function (value, field) {
+  var point;
+
+  if (typeof value === 'string') { point = value.split(',').reverse(); }
+  if (_.isArray(value)) { point = value; }
+  if (_.isPlainObject(value)) { point = [value.lng, value.lat]; }
+
+  point = _.map(point, function (coordinate) {
+    return typeof coordinate === 'string' && coordinate.trim() !== '' ? Number(coordinate) : coordinate;
+  });
+
+  if (point.length !== 2 || !_.every(point, _.isFinite)) { throw errors.create(400, 'Expected a "lat,lng" point for ' + field.path); }
+
+  return point;
+};
+
+
+/**
+ * Adapters for Keystone's own field types
+ * @type {Object}
+ */
+
+var ADAPTERS = {
+
+  // Full names are split like Keystone's name.full virtual does
+  name: {
+    parse: function (value, field) {
+      var split;
+
+      if (_.isPlainObject(value)) { return value; }
+      if (typeof value !== 'string') { throw errors.create(400, 'Expected a name for ' + field.path); }
+
+      split = value.trim().split(/\s+/);
+
+      return { first: split.shift(), last: split.join(' ') || undefined };
+    }
+  },
+
+  location: {
+    parse: function (value, field) {
+      if (typeof value === 'string' || _.isArray(value)) { return { geo: _parsePoint(value, field) }; }
+      if (!_.isPlainObject(value)) { throw errors.create(400, 'Expected an address or a "lat,lng" point for ' + field.path); }
+      if (value.geo !== undefined && value.geo !== null) { return _.extend({}, value, { geo: _parsePoint(value.geo, field) }); }
+      if (value.lat !== undefined || value.lng !== undefined) { return _.extend(_.omit(value, 'lat', 'lng'), { geo: _parsePoint(value, field) }); }
+
+      return value;
+    }
+  },
+
+  geopoint: {
+    parse: _parsePoint
+  },
+
+  date: {
+    parse: _parseDate
+  },
+
+  datetime: {
+    parse: _parseDate
+  },
+
+  // Accepts formatted amounts such as "$1,200.50"
+  money: {
+    parse: function (value, field) {
+      var amount = typeof value === 'string' ? value.replace(/[^\d.\-]/g, '') : value;
+
+      if (typeof amount === 'string' && amount !== '') { amount = Number(amount); }
+      if (!_.isFinite(amount)) { throw errors.create(400, 'Expected an amount for ' + field.path); }
+
+      return amount;
+    }
+  },
+
+  // Keystone hashes passwords when they are saved, so responses would hold the hash
+  password: {
+    hidden: true,
+    parse: function (value, field) {
+      if (typeof value !== 'string') { throw errors.create(400, 'Expected a password for ' + field.path); }
+      return value;
+    },
+    format: function () {
+      return undefined;
+    }
+  }
+};
+
+
+/**
+ * Get the name adapters are registered under for a field type
+ * @param  {Mixed}  type Field type name, or a Keystone field type such as Types.Name
+ * @return {String}
+ */
+
+var typeName = function (type) {
+  return typeof type === 'function' ? type.name : String(type);
+};
+
+
+/**
+ * Check whether a field is never sent, so it can't be filtered, sorted or
+ * grouped on either. Passwords never are, whatever their adapter.
+ * @param  {Field}   field    Keystone field
+ * @param  {Object}  adapters Adapters keyed by field type name
+ * @return {Boolean}
+ */
+
+var hides = function (field, adapters) {
+  return field.type === 'password' || !!_.get(adapters, [field.type, 'hidden']);
+};
+
+
+/**
+ * Convert the values of a request body in place, before they are set on a document
+ * @param  {Object} fields   Keystone fields of the list, keyed by path
+ * @param  {Object} body     Request body
+ * @param  {Object} adapters Adapters keyed by field type name
+ * @return {Object}          The body
+ */
+
+var parse = function (fields, body, adapters) {
+  _.each(fields, function (field, path) {
+    var adapter = adapters[field.type],
+      value;
+
+    if (!adapter || !adapter.parse || !_.has(body, path)) { return; }
+
+    value = _.get(body, path);
+    if (value === null || value === undefined) { return; }
+
+    _.set(body, path, adapter.parse(value, field));
+  });
+
+  return body;
+};
+
+
+/**
+ * Convert the values of a response document in place
+ * @param  {Object} fields   Keystone fields of the list, keyed by path
+ * @param  {Object} doc      Plain document about to be sent
+ * @param  {Object} adapters Adapters keyed by field type name
+ * @return {Object}          The document
+ */
+
+var format = function (fields, doc, adapters) {
+  _.each(fields, function (field, path) {
+    var adapter = adapters[field.type],
+      parts = path.split('.'),
+      last = parts.pop(),
+      value;
+
+    if (!adapter || (!adapter.format && !adapter.hidden)) { return; }
+
+    value = _.get(doc, path);
+    if (value === null || value === undefined) { return; }
+
+    value = adapter.hidden ? undefined : adapter.format(value, field);
+
+    if (value !== undefined) {
+      _.set(doc, path, value);
+      return;
+    }
+
+    // Leave the path out of the response
+    delete (parts.length ? _.get(doc, parts) : doc)[last];
+  });
+
+  return doc;
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  ADAPTERS: ADAPTERS,
+  typeName: typeName,
+  hides: hides,
+  parse: parse,
+  format: format
+};
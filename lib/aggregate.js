@@ -0,0 +1,241 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Builds aggregation pipelines for the <code>_aggregate</code> route.</p>
+  <p><code>group</code> lists the fields to group by, date fields can be
+  bucketed by day, week or month. <code>metrics</code> lists what to work
+  out for each group. <code>sort</code> orders groups by a group field or a
+  metric.</p>
+  <pre>
+  ?group=author,publishedDate:month&metrics=count,sum:views&sort=-count&limit=10
+
+  [{ group: { author: '5470...', publishedDate: '2015-03' }, count: 12, sum: { views: 340 } }]
+  </pre>
+ */
+
+
+/**
+ * Metric operators and the path types they accept
+ * @type {Object}
+ */
+
+var OPERATORS = {
+  sum: ['Number'],
+  avg: ['Number'],
+  min: ['Number', 'Date'],
+  max: ['Number', 'Date']
+};
+
+
+/**
+ * Date buckets and the date parts they group by
+ * @type {Object}
+ */
+
+var BUCKETS = {
+  day: { year: '$year', month: '$month', day: '$dayOfMonth' },
+  week: { year: '$year', week: '$week' },
+  month: { year: '$year', month: '$month' }
+};
+
+
+/**
+ * Split a comma separated param
+ * @param  {Mixed}  value Param value
+ * @param  {String} name  Param name used in error messages
+ * @return {Array}
+ */
+
+var _split = function (value, name) {
+  if (value === undefined || value === '') { return []; }
+  if (typeof value !== 'string') { throw errors.create(400, 'Invalid ' + name); }
+  return value.split(',');
+};
+
+
+/**
+ * Check a path may be aggregated and get its type
+ * @param  {Schema} schema  Mongoose schema
+ * @param  {String} path    Path name
+ * @param  {Array}  allowed Paths that may be aggregated
+ * @return {String}         Instance name of the path
+ */
+
+var _checkPath = function (schema, path, allowed) {
+  var schemaPath = schema.path(path);
+
+  if (!schemaPath || allowed.indexOf(path) === -1) { throw errors.create(400, 'Cannot aggregate on ' + path); }
+  if (schemaPath.caster) { throw errors.create(400, 'Cannot aggregate on list field ' + path); }
+
+  return schemaPath.instance;
+};
+
+
+/**
+ * Pad a number with zeros
+ * @param  {Number} value
+ * @param  {Number} length
+ * @return {String}
+ */
+
+var _pad = function (value, length) {
+  var result = String(value);
+
+  while (result.length < length) { result = '0' + result; }
+
+  return result;
+};
+
+
+/**
+ * Parse the aggregate params of a request
+ * @param  {Object} query    Express request query
+ * @param  {Schema} schema   Mongoose schema of the list
+ * @param  {Array}  allowed  Paths that may be grouped and aggregated on
+ * @param  {Number} maxLimit Most groups a request may ask for
+ * @return {Object}          Description used by pipeline and format
+ */
+
+var parse = function (query, schema, allowed, maxLimit) {
+  var spec = { groups: [], metrics: [], sort: {} };
+
+  _.each(_split(query.group, 'group'), function (token, index) {
+    var parts = token.split(':'),
+      group = { path: parts[0], key: 'g' + index };
+
+    if (_checkPath(schema, group.path, allowed) === 'Date' && parts[1]) {
+      if (!BUCKETS[parts[1]]) { throw errors.create(400, 'Unknown date bucket ' + parts[1] + ', use day, week or month'); }
+      group.bucket = parts[1];
+    } else if (parts[1]) {
+      throw errors.create(400, 'Only dates can be bucketed, ' + group.path + ' is not a date');
+    }
+
+    spec.groups.push(group);
+  });
+
+  _.each(_split(query.metrics || 'count', 'metrics'), function (token, index) {
+    var parts = token.split(':'),
+      metric = { name: token, op: parts[0], path: parts[1], key: 'm' + index };
+
+    if (metric.op !== 'count' && !OPERATORS[metric.op]) { throw errors.create(400, 'Unknown metric ' + metric.op + ', use count, sum, avg, min or max'); }
+    if (metric.op !== 'count' && OPERATORS[metric.op].indexOf(_checkPath(schema, metric.path, allowed)) === -1) {
+      throw errors.create(400, 'Cannot work out the ' + metric.op + ' of ' + metric.path);
+    }
+
+    spec.metrics.push(metric);
+  });
+
+  _.each(_split(query.sort, 'sort'), function (token) {
+    var direction = token.charAt(0) === '-' ? -1 : 1,
+      name = token.replace(/^[\-+]/, ''),
+      group = _.find(spec.groups, { path: name }),
+      metric = _.find(spec.metrics, { name: name });
+
+    if (group) {
+      spec.sort['_id.' + group.key] = direction;
+    } else if (metric) {
+      spec.sort[metric.key] = direction;
+    } else {
+      throw errors.create(400, 'Can only sort on a group or metric, not ' + name);
+    }
+  });
+
+  if (query.limit !== undefined) {
+    if (typeof query.limit !== 'string' || !/^[1-9]\d*$/.test(query.limit)) { throw errors.create(400, 'limit must be greater than 0'); }
+    spec.limit = parseInt(query.limit, 10);
+  }
+
+  if (maxLimit && (!spec.limit || spec.limit > maxLimit)) { spec.limit = maxLimit; }
+
+  return spec;
+};
+
+
+/**
+ * Build the aggregation pipeline
+ * @param  {Object} criteria Mongoose criteria, cast to the schema
+ * @param  {Object} spec     Result of parse
+ * @return {Array}
+ */
+
+var pipeline = function (criteria, spec) {
+  var group = { _id: spec.groups.length ? {} : null },
+    stages = [{ $match: criteria }, { $group: group }];
+
+  _.each(spec.groups, function (item) {
+    group._id[item.key] = item.bucket ? _.mapValues(BUCKETS[item.bucket], function (operator) {
+      var part = {};
+      part[operator] = '$' + item.path;
+      return part;
+    }) : '$' + item.path;
+  });
+
+  _.each(spec.metrics, function (metric) {
+    group[metric.key] = metric.op === 'count' ? { $sum: 1 } : _.zipObject(['$' + metric.op], ['$' + metric.path]);
+  });
+
+  stages.push({ $sort: _.isEmpty(spec.sort) ? { _id: 1 } : spec.sort });
+  if (spec.limit) { stages.push({ $limit: spec.limit }); }
+
+  return stages;
+};
+
+
+/**
+ * Format a date bucket
+ * @param  {Object} value  Date parts
+ * @param  {String} bucket day, week or month
+ * @return {String}        Such as 2015-03-01, 2015-W09 or 2015-03
+ */
+
+var _formatBucket = function (value, bucket) {
+  if (!value || value.year === null) { return null; }
+  if (bucket === 'day') { return value.year + '-' + _pad(value.month, 2) + '-' + _pad(value.day, 2); }
+  if (bucket === 'week') { return value.year + '-W' + _pad(value.week, 2); }
+  return value.year + '-' + _pad(value.month, 2);
+};
+
+
+/**
+ * Turn aggregation results into the response
+ * @param  {Array}  results Aggregation results
+ * @param  {Object} spec    Result of parse
+ * @return {Array}
+ */
+
+var format = function (results, spec) {
+  return results.map(function (result) {
+    var item = { group: {} };
+
+    _.each(spec.groups, function (group) {
+      var value = result._id[group.key];
+      item.group[group.path] = group.bucket ? _formatBucket(value, group.bucket) : value;
+    });
+
+    _.each(spec.metrics, function (metric) {
+      if (metric.op === 'count') {
+        item.count = result[metric.key];
+        return;
+      }
+
+      item[metric.op] = item[metric.op] || {};
+      item[metric.op][metric.path] = result[metric.key];
+    });
+
+    return item;
+  });
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  parse: parse,
+  pipeline: pipeline,
+  format: format
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Reads PATCH bodies made of MongoDB update operators, so counters and
+  arrays can change without reading the document first.</p>
+  <p>Only paths listed in the <code>atomic</code> list option may be used,
+  and never paths the request can't edit. Updates are applied to the loaded
+  document first, so the result can be validated before it is written.</p>
+  <pre>
+  { "$inc": { "views": 1 }, "$addToSet": { "tags": { "$each": ["news", "tech"] } } }
+  { "$pull": { "posts": "5470c1a37df5b9ca1c1a2b4d" }, "$unset": { "summary": true } }
+  </pre>
+ */
+
+
+/**
+ * Operators an update may use
+ * @type {Array}
+ */
+
+var OPERATORS = ['$inc', '$push', '$addToSet', '$pull', '$unset', '$min', '$max'];
+
+
+/**
+ * Check whether a body holds update operators
+ * @param  {Object}  body Request body
+ * @return {Boolean}
+ */
+
+var isAtomic = function (body) {
+  return _.isPlainObject(body) && _.some(_.keys(body), function (key) {
+    return key.charAt(0) === '$';
+  });
+};
+
+
+/**
+ * Build an update from a body of operators
+ * @param  {Object} body       Request body
+ * @param  {Array}  allowed    Paths that may be changed with operators
+ * @param  {Array}  uneditable Paths the request can't edit
+ * @param  {String} versionKey Version path, which the body may hold to check the version
+ * @return {Object}            MongoDB update, throws an error from lib/errors if the body isn't allowed
+ */
+
+var parse = function (body, allowed, uneditable, versionKey) {
+  var update = {},
+    used = {};
+
+  _.each(body, function (changes, operator) {
+    if (operator === versionKey) { return; }
+    if (OPERATORS.indexOf(operator) === -1) { throw errors.create(400, 'Updates with operators can only hold ' + OPERATORS.join(', ') + ', found ' + operator); }
+    if (!_.isPlainObject(changes) || _.isEmpty(changes)) { throw errors.create(400, 'Expected paths and values for ' + operator); }
+
+    update[operator] = {};
+
+    _.each(changes, function (value, path) {
+      if (allowed.indexOf(path) === -1) { throw errors.create(400, 'Cannot use ' + operator + ' on ' + path); }
+      if (uneditable.indexOf(path) !== -1) { throw errors.create(403, 'You are not allowed to change ' + path); }
+      if (used[path]) { throw errors.create(400, 'Cannot use ' + used[path] + ' and ' + operator + ' on ' + path); }
+      if (operator === '$inc' && !_.isFinite(value)) { throw errors.create(400, 'Expected a number to $inc ' + path); }
+
+      // Modifiers such as $slice or $sort would write another document than the one validated
+      if (isAtomic(value) && ['$push', '$addToSet'].indexOf(operator) === -1) { throw errors.create(400, 'Cannot use operators in ' + operator + ' on ' + path); }
+      if (isAtomic(value) && (!_.isEqual(_.keys(value), ['$each']) || !_.isArray(value.$each))) { throw errors.create(400, 'Only $each with an array may modify ' + operator + ' on ' + path); }
+
+      used[path] = operator;
+      update[operator][path] = operator === '$unset' ? '' : value;
+    });
+  });
+
+  return update;
+};
+
+
+/**
+ * Apply an update to a loaded document the way MongoDB would, so the result
+ * can be validated. The document is left modified and shouldn't be saved.
+ * @param {Document} doc    Mongoose document
+ * @param {Object}   update MongoDB update built by parse
+ */
+
+var apply = function (doc, update) {
+  _.each(update, function (changes, operator) {
+    _.each(changes, function (value, path) {
+      var current = doc.get(path),
+        values = _.isPlainObject(value) && _.has(value, '$each') ? value.$each : [value],
+        candidate;
+
+      switch (operator) {
+      case '$inc':
+        doc.set(path, (current || 0) + value);
+        break;
+      case '$unset':
+        doc.set(path, undefined);
+        break;
+      case '$min':
+      case '$max':
+        doc.set(path, value);
+        candidate = doc.get(path);
+        if (current !== undefined && current !== null && (operator === '$min' ? candidate >= current : candidate <= current)) { doc.set(path, current); }
+        break;
+      case '$push':
+      case '$addToSet':
+        if (!current) {
+          doc.set(path, []);
+          current = doc.get(path);
+        }
+        current[operator === '$push' ? 'push' : 'addToSet'].apply(current, values);
+        break;
+      case '$pull':
+        if (current) { current.pull(value); }
+        break;
+      }
+    });
+  });
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  OPERATORS: OPERATORS,
+  isAtomic: isAtomic,
+  parse: parse,
+  apply: apply
+};
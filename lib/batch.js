@@ -0,0 +1,233 @@
+'use strict';
+
+var _ = require('lodash'),
+  http = require('http'),
+  querystring = require('querystring'),
+  errors = require('./errors');
+
+/**
+  <p>Runs the operations of a <code>_batch</code> request through the routes
+  added with addRoutes, as if each one was a request of its own.</p>
+  <p>Operations run side by side, or one after the other in sequential mode.
+  Sequential operations may refer to the results of earlier ones with
+  <code>{{index.path}}</code>. A string that is only a reference is replaced
+  by the value, whatever its type, otherwise the value is written into the
+  string.</p>
+  <pre>
+  POST /api/_batch?sequential=true
+  [{ "method": "post", "path": "/api/posts", "body": { "title": "Hello" } },
+   { "method": "post", "path": "/api/users/5470.../posts", "body": { "_id": "{{0.body._id}}" } }]
+
+  [{ "status": 200, "headers": { ... }, "body": { "_id": "5471...", "title": "Hello" } },
+   { "status": 200, "headers": { ... }, "body": { ... } }]
+  </pre>
+ */
+
+
+/**
+ * Methods an operation may use
+ * @type {Array}
+ */
+
+var METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+
+/**
+ * Headers of the batch request that operations don't inherit
+ * @type {Array}
+ */
+
+var OWN_HEADERS = ['content-length', 'content-type', 'transfer-encoding', 'accept', 'accept-encoding', 'if-match', 'if-none-match', 'if-modified-since', 'if-unmodified-since'];
+
+
+/**
+ * Matches references to earlier results
+ * @type {RegExp}
+ */
+
+var REFERENCE = /\{\{(\d+)\.([^}]+)\}\}/g;
+
+
+/**
+ * Check an operation has a method and a path
+ * @param  {Object} operation Operation from the batch body
+ * @return {Error}            Error from lib/errors, undefined if the operation is valid
+ */
+
+var validate = function (operation) {
+  if (!_.isPlainObject(operation)) { return errors.create(400, 'Expected an object with method and path'); }
+  if (METHODS.indexOf(String(operation.method).toLowerCase()) === -1) { return errors.create(400, 'Method must be one of ' + METHODS.join(', ')); }
+  if (typeof operation.path !== 'string' || operation.path.charAt(0) !== '/') { return errors.create(400, 'Path must start with /'); }
+  if (operation.headers !== undefined && !_.isPlainObject(operation.headers)) { return errors.create(400, 'Headers must be an object'); }
+
+  // The batch body is already read, there is no stream left to parse parts from
+  if (_.some(operation.headers, function (value, name) { return name.toLowerCase() === 'content-type' && /multipart/i.test(value); })) { return errors.create(400, 'Operations cannot send multipart bodies'); }
+};
+
+
+/**
+ * Check whether operations refer to the results of others
+ * @param  {Array}   operations Operations from the batch body
+ * @return {Boolean}
+ */
+
+var hasReferences = function (operations) {
+  return new RegExp(REFERENCE.source).test(JSON.stringify(operations));
+};
+
+
+/**
+ * Replace references to earlier results
+ * @param  {Mixed} value   Path, body or part of a body
+ * @param  {Array} results Results of the operations run so far
+ * @return {Mixed}         Value with references replaced, throws a 424 error if one can't be
+ */
+
+var resolve = function (value, results) {
+  var whole;
+
+  var lookup = function (index, path) {
+    var result = results[Number(index)],
+      found;
+
+    if (!result) { throw errors.create(424, 'Operation ' + index + ' has not run yet'); }
+    if (result.status >= 400) { throw errors.create(424, 'Operation ' + index + ' failed'); }
+
+    found = _.get(result, path);
+    if (found === undefined) { throw errors.create(424, 'Operation ' + index + ' has no ' + path); }
+
+    return found;
+  };
+
+  if (_.isArray(value)) {
+    return value.map(function (item) { return resolve(item, results); });
+  }
+
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, function (item) { return resolve(item, results); });
+  }
+
+  if (typeof value !== 'string') { return value; }
+
+  whole = new RegExp('^' + REFERENCE.source + '$').exec(value);
+  if (whole) { return lookup(whole[1], whole[2]); }
+
+  return value.replace(REFERENCE, function (match, index, path) {
+    return String(lookup(index, path));
+  });
+};
+
+
+/**
+ * Turn an error into a result
+ * @param  {Error}  err Error raised while running an operation
+ * @return {Object}     Result of { status, headers, body }
+ */
+
+var failure = function (err) {
+  var response = errors.format(err) || { status: 500, body: { status: 'error', message: 'Internal server error' } };
+
+  return { status: response.status, headers: {}, body: response.body };
+};
+
+
+/**
+ * Run an operation through a router as a request of its own. The operation
+ * shares the user, session and cookies of the batch request.
+ * @param {Object}   router    Express router holding the routes operations may use
+ * @param {Object}   req       Express request of the whole batch
+ * @param {Object}   operation Valid operation of { method, path, body, headers }
+ * @param {Function} callback  Called with the result of { status, headers, body }
+ */
+
+var dispatch = function (router, req, operation, callback) {
+  var parseQuery = req.app.get('query parser fn') || querystring.parse,
+    url = operation.path,
+    chunks = [],
+    finished = false,
+    subReq = Object.create(req),
+    subRes,
+    search;
+
+  var finish = function (err) {
+    var headers,
+      body;
+
+    if (finished) { return; }
+    finished = true;
+
+    if (err) { return callback(failure(err)); }
+
+    headers = typeof subRes.getHeaders === 'function' ? subRes.getHeaders() : _.clone(subRes._headers || {});
+    body = Buffer.concat(chunks).toString('utf8');
+
+    if (/json/.test(headers['content-type'] || '') && body) {
+      try {
+        body = JSON.parse(body);
+      } catch (ignore) {
+        // Send the text as it is
+      }
+    }
+
+    callback({ status: subRes.statusCode, headers: headers, body: body });
+  };
+
+  // Paths may include the path the routes are mounted under
+  if (req.baseUrl && url.indexOf(req.baseUrl + '/') === 0) { url = url.slice(req.baseUrl.length); }
+
+  search = url.indexOf('?');
+
+  subReq.method = String(operation.method).toUpperCase();
+  subReq.url = url;
+  subReq.originalUrl = (req.baseUrl || '') + url;
+  subReq.baseUrl = req.baseUrl;
+  subReq.params = {};
+  subReq.query = parseQuery(search === -1 ? '' : url.slice(search + 1));
+  subReq.body = operation.body;
+  subReq.files = undefined;
+  subReq.route = undefined;
+  subReq.headers = _.extend(_.omit(req.headers, OWN_HEADERS), { accept: 'application/json' }, _.mapKeys(operation.headers, function (value, name) {
+    return name.toLowerCase();
+  }));
+
+  // The body is already parsed, these let type checks such as req.is see it
+  subReq._body = true;
+  if (operation.body !== undefined) {
+    subReq.headers['content-type'] = subReq.headers['content-type'] || 'application/json';
+    subReq.headers['content-length'] = String(Buffer.byteLength(JSON.stringify(operation.body)));
+  }
+
+  subRes = new http.ServerResponse(subReq);
+  Object.setPrototypeOf(subRes, req.app.response);
+  subRes.req = subReq;
+  subRes.locals = {};
+  subReq.res = subRes;
+
+  // Keep what handlers write instead of sending it
+  subRes.write = function (chunk, encoding) {
+    if (chunk) { chunks.push(Buffer.isBuffer(chunk) ? chunk : new Buffer(String(chunk), typeof encoding === 'string' ? encoding : 'utf8')); }
+    return true;
+  };
+
+  subRes.end = function (chunk, encoding) {
+    if (typeof chunk !== 'function') { subRes.write(chunk, encoding); }
+    finish();
+  };
+
+  router.handle(subReq, subRes, function (err) {
+    finish(err || errors.create(404, 'No route for ' + subReq.method + ' ' + operation.path));
+  });
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  validate: validate,
+  hasReferences: hasReferences,
+  resolve: resolve,
+  failure: failure,
+  dispatch: dispatch
+};
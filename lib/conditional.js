@@ -0,0 +1,155 @@
+'use strict';
+
+var _ = require('lodash'),
+  crypto = require('crypto');
+
+/**
+  <p>ETag and Last-Modified helpers for conditional requests.</p>
+  <p>ETags hash the body that is sent, so each <code>select</code>,
+  <code>populate</code>, format and set of visible fields gets its own tag,
+  and changes made outside the api change it too. A document's ETag starts
+  with its <code>_id</code> and version key, which is what
+  <code>If-Match</code> compares. List ETags are weak.</p>
+  <pre>
+  "5470c1a37df5b9ca1c1a2b4d-3-0cc175b9c0f1b6a8"
+  W/"92eb5ffee6ae2fec3ad71c777531578f"
+  </pre>
+ */
+
+
+/**
+ * Hash a response body
+ * @param  {String} body Body as it is sent
+ * @return {String}      Hex digest
+ */
+
+var _digest = function (body) {
+  return crypto.createHash('md5').update(body).digest('hex');
+};
+
+
+/**
+ * Get the version part of a document's ETag
+ * @param  {Document} doc        Mongoose document
+ * @param  {String}   versionKey Name of the version key path
+ * @return {String}              _id and version, undefined if the version is not loaded
+ */
+
+var _version = function (doc, versionKey) {
+  var version = versionKey ? doc.get(versionKey) : undefined;
+
+  if (version === undefined || version === null) { return undefined; }
+
+  return doc.get('_id') + '-' + version;
+};
+
+
+/**
+ * Get the ETag of a document response
+ * @param  {Document} doc        Mongoose document
+ * @param  {String}   versionKey Name of the version key path
+ * @param  {String}   body       Body sent for the document
+ * @return {String}              Strong ETag, undefined if the version is not loaded
+ */
+
+var etag = function (doc, versionKey, body) {
+  var version = _version(doc, versionKey);
+
+  if (version === undefined) { return undefined; }
+
+  return '"' + version + '-' + _digest(body).slice(0, 16) + '"';
+};
+
+
+/**
+ * Get the ETag of a list response
+ * @param  {String} body  Body sent for the page
+ * @param  {Number} total Number of documents matching the request
+ * @return {String}       Weak ETag
+ */
+
+var listEtag = function (body, total) {
+  return 'W/"' + _digest(body + ';' + total) + '"';
+};
+
+
+/**
+ * Check an If-Match header against the current version of a document
+ * @param  {String}   header     Header value
+ * @param  {Document} doc        Mongoose document
+ * @param  {String}   versionKey Name of the version key path
+ * @return {Boolean}             True if a strong tag in the header was sent for this version
+ */
+
+var matchesVersion = function (header, doc, versionKey) {
+  var version = _version(doc, versionKey);
+
+  if (!header || version === undefined) { return false; }
+  if (header.trim() === '*') { return true; }
+
+  return _.some(header.split(','), function (value) {
+    value = value.trim();
+
+    // Weak tags never match a strong comparison
+    if (!/^"[^"]*"$/.test(value)) { return false; }
+
+    value = value.slice(1, -1);
+    return value === version || value.indexOf(version + '-') === 0;
+  });
+};
+
+
+/**
+ * Get the most recent modification date of documents
+ * @param  {Array}  docs Mongoose documents
+ * @param  {String} path Date path that is updated on save
+ * @return {Date}        Undefined if none of the documents has the path set
+ */
+
+var lastModified = function (docs, path) {
+  var dates = docs.map(function (doc) {
+    return doc.get(path);
+  }).filter(_.isDate);
+
+  return dates.length ? _.max(dates, function (date) { return date.getTime(); }) : undefined;
+};
+
+
+/**
+ * Check an If-Match or If-None-Match header against an ETag
+ * @param  {String}  header Header value
+ * @param  {String}  tag    Current ETag
+ * @param  {Boolean} weak   Use weak comparison (If-None-Match)
+ * @return {Boolean}
+ */
+
+var matches = function (header, tag, weak) {
+  var strip = function (value) {
+    return weak ? value.replace(/^W\//, '') : value;
+  };
+
+  if (!header || !tag) { return false; }
+  if (header.trim() === '*') { return true; }
+
+  // Weak tags never match a strong comparison
+  if (!weak && /^W\//.test(tag)) { return false; }
+
+  return _.some(header.split(','), function (value) {
+    value = value.trim();
+    if (!weak && /^W\//.test(value)) { return false; }
+    return strip(value) === strip(tag);
+  });
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  etag: etag,
+  listEtag: listEtag,
+  lastModified: lastModified,
+  matches: matches,
+  matchesVersion: matchesVersion
+};
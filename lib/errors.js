@@ -0,0 +1,136 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+  <p>Maps errors raised while handling a request to JSON responses.</p>
+  <pre>
+  400 { status: 'malformed', message }          bad query params or cast errors
+  404 { status: 'missing', message }            no document has the given key
+  409 { status: 'conflict', message, errors }   duplicate keys and version conflicts
+  412 { status: 'stale', message }              If-Match does not match the current ETag
+  422 { status: 'invalid', message, errors }    mongoose validation errors
+  </pre>
+ */
+
+
+/**
+ * Values of the status field for each http status
+ * @type {Object}
+ */
+
+var STATUSES = {
+  400: 'malformed',
+  403: 'forbidden',
+  404: 'missing',
+  409: 'conflict',
+  412: 'stale',
+  413: 'oversized',
+  415: 'unsupported',
+  422: 'invalid',
+  424: 'failed'
+};
+
+
+/**
+ * Create an error carrying an http status
+ * @param  {Number} status  Http status
+ * @param  {String} message Message
+ * @return {Error}
+ */
+
+var create = function (status, message) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+
+/**
+ * Build a response
+ * @param  {Number} status  Http status
+ * @param  {String} message Message
+ * @param  {Object} errors  Messages for each invalid field
+ * @return {Object}
+ */
+
+var _response = function (status, message, errors) {
+  var body = {
+    status: STATUSES[status] || 'error',
+    message: message
+  };
+
+  if (errors) { body.errors = errors; }
+
+  return {
+    status: status,
+    body: body
+  };
+};
+
+
+/**
+ * Get the field a duplicate key error was raised for
+ * @param  {Error}  err MongoError
+ * @return {String}     Field name, undefined if it can't be found
+ */
+
+var _getDuplicateField = function (err) {
+  var match = /index: (?:\S*\$)?([\w.]+?)_-?\d/.exec(err.errmsg || err.message);
+
+  return match ? match[1] : undefined;
+};
+
+
+/**
+ * Map an error to a response
+ * @param  {Error}  err Error raised while handling a request
+ * @return {Object}     Http status and body, undefined for unexpected errors
+ */
+
+var format = function (err) {
+  var field,
+    errors;
+
+  if (!err) { return undefined; }
+
+  if (err.name === 'ValidationError') {
+    return _response(422, err.message, _.mapValues(err.errors, 'message'));
+  }
+
+  if (err.name === 'CastError') {
+    return _response(400, 'Invalid value for ' + err.path);
+  }
+
+  if (err.name === 'VersionError') {
+    return _response(409, 'Document was changed by another request, reload it and try again');
+  }
+
+  if (err.code === 11000 || err.code === 11001) {
+    field = _getDuplicateField(err);
+
+    if (field) {
+      errors = {};
+      errors[field] = 'Value is already used';
+    }
+
+    return _response(409, field ? 'Duplicate value for ' + field : 'Duplicate key', errors);
+  }
+
+  if (err.status >= 400 && err.status < 500) {
+    return _response(err.status, err.message, err.errors);
+  }
+
+  return undefined;
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  create: create,
+  format: format,
+  STATUSES: STATUSES
+};
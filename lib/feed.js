@@ -0,0 +1,127 @@
+'use strict';
+
+var _ = require('lodash'),
+  EventEmitter = require('events').EventEmitter;
+
+/**
+  <p>Keeps the recent changes of lists added with the <code>events</code>
+  option and hands them to Server-Sent Events subscribers.</p>
+  <p>Each feed holds a bounded buffer so clients that reconnect with
+  <code>Last-Event-ID</code> get the events they missed. Event ids start with
+  a prefix unique to the feed, so ids from another process or an earlier
+  start are never mistaken for ids of this one.</p>
+  <pre>
+  id: i6h2k3x0-42
+  event: updated
+  data: {"_id":"5470...","name":{"first":"Test","last":"User"}}
+  </pre>
+ */
+
+
+/**
+ * Event sent for each change recorded by the api
+ * @type {Object}
+ */
+
+var TYPES = {
+  create: 'created',
+  restore: 'created',
+  update: 'updated',
+  revert: 'updated',
+  'delete': 'deleted',
+  purge: 'deleted'
+};
+
+
+/**
+ * Create a feed
+ * @param  {Number} size Number of events kept for reconnecting clients
+ * @return {Object}      Feed with publish, since and subscribe
+ */
+
+var create = function (size) {
+  var emitter = new EventEmitter(),
+    prefix = Date.now().toString(36),
+    buffer = [],
+    sequence = 0;
+
+  emitter.setMaxListeners(0);
+
+  return {
+
+    /**
+     * Add a change to the feed
+     * @param {String}   action Action recorded, such as create or update
+     * @param {Document} doc    Document as it is after the change
+     */
+
+    publish: function (action, doc) {
+      var event;
+
+      if (!TYPES[action]) { return; }
+
+      sequence += 1;
+      event = { id: prefix + '-' + sequence, sequence: sequence, type: TYPES[action], doc: doc };
+
+      buffer.push(event);
+      if (buffer.length > size) { buffer.shift(); }
+
+      emitter.emit('event', event);
+    },
+
+    /**
+     * Get the events sent after an event
+     * @param  {String} id Id of the last event a client got
+     * @return {Array}     Events, undefined if some are no longer buffered
+     */
+
+    since: function (id) {
+      var parts = String(id).split('-'),
+        last = Number(parts[1]),
+        first = buffer.length ? buffer[0].sequence : sequence + 1;
+
+      if (parts.length !== 2 || parts[0] !== prefix || !/^\d+$/.test(parts[1]) || last > sequence) { return undefined; }
+      if (last < first - 1) { return undefined; }
+
+      return _.filter(buffer, function (event) {
+        return event.sequence > last;
+      });
+    },
+
+    /**
+     * Listen to new events
+     * @param  {Function} listener Called with each event
+     * @return {Function}          Stops listening
+     */
+
+    subscribe: function (listener) {
+      emitter.on('event', listener);
+
+      return function () {
+        emitter.removeListener('event', listener);
+      };
+    }
+  };
+};
+
+
+/**
+ * Write an event in the Server-Sent Events format
+ * @param  {Object} event Event from a feed
+ * @param  {Object} data  Document to send
+ * @return {String}
+ */
+
+var format = function (event, data) {
+  return 'id: ' + event.id + '\nevent: ' + event.type + '\ndata: ' + JSON.stringify(data) + '\n\n';
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  create: create,
+  format: format
+};
@@ -0,0 +1,357 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Translates query string filters into mongoose criteria.</p>
+  <p>Plain values are exact matches. Objects (as parsed by express from
+  bracket notation) hold operators, and <code>or</code>/<code>and</code>
+  hold arrays of nested filters.</p>
+  <pre>
+  ?name=Test%20User                  { name: 'Test User' }
+  ?age[gte]=18&age[lt]=65            { age: { $gte: 18, $lt: 65 } }
+  ?status[in]=draft,published        { status: { $in: ['draft', 'published'] } }
+  ?title[prefix]=test                { title: /^test/i }
+  ?or[0][name]=a&or[1][email][exists]=true
+  </pre>
+  <p>Params that aren't paths of the schema, such as cache busters, are
+  ignored unless filters are strict.</p>
+ */
+
+
+/**
+ * Operators that take a single value
+ * @type {Object}
+ */
+
+var COMPARISON = {
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte'
+};
+
+
+/**
+ * Operators that take a list of values
+ * @type {Object}
+ */
+
+var LIST = {
+  'in': '$in',
+  nin: '$nin'
+};
+
+
+/**
+ * Keys that group nested filters
+ * @type {Object}
+ */
+
+var GROUPS = {
+  or: '$or',
+  and: '$and'
+};
+
+
+/**
+ * Longest pattern a regex filter may send to MongoDB
+ * @type {Number}
+ */
+
+var REGEX_LIMIT = 64;
+
+
+/**
+ * Escape a string for use in a regular expression
+ * @param  {String} value Raw string
+ * @return {String}
+ */
+
+var escapeRegExp = function (value) {
+  return String(value).replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+};
+
+
+/**
+ * Get the instance name (String, Number, Date...) of a schema path,
+ * looking through arrays to their element type
+ * @param  {Schema} schema Mongoose schema
+ * @param  {String} path   Path name
+ * @return {String}
+ */
+
+var _getInstance = function (schema, path) {
+  var schemaPath = schema.path(path);
+
+  if (!schemaPath) { return undefined; }
+  if (schemaPath.caster) { return schemaPath.caster.instance; }
+
+  return schemaPath.instance;
+};
+
+
+/**
+ * Convert a query string value to the type stored at a path
+ * @param  {Schema} schema Mongoose schema
+ * @param  {String} path   Path name
+ * @param  {Mixed}  value  Raw value
+ * @return {Mixed}
+ */
+
+var _coerce = function (schema, path, value) {
+  var instance = _getInstance(schema, path),
+    number,
+    date;
+
+  if (typeof value !== 'string') { throw errors.create(400, 'Invalid value for ' + path); }
+
+  switch (instance) {
+  case 'Number':
+    number = Number(value);
+    if (value === '' || isNaN(number)) { throw errors.create(400, 'Expected a number for ' + path); }
+    return number;
+  case 'Date':
+    date = /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (isNaN(date.getTime())) { throw errors.create(400, 'Expected a date for ' + path); }
+    return date;
+  case 'Boolean':
+    if (value === 'true' || value === '1') { return true; }
+    if (value === 'false' || value === '0') { return false; }
+    throw errors.create(400, 'Expected a boolean for ' + path);
+  case 'ObjectID':
+    if (!/^[0-9a-fA-F]{24}$/.test(value)) { throw errors.create(400, 'Expected an id for ' + path); }
+    return value;
+  default:
+    return value;
+  }
+};
+
+
+/**
+ * Split a list operator value into coerced values
+ * @param  {Schema} schema Mongoose schema
+ * @param  {String} path   Path name
+ * @param  {Mixed}  value  Comma separated string or array
+ * @return {Array}
+ */
+
+var _coerceList = function (schema, path, value) {
+  var values = _.isArray(value) ? value : String(value).split(',');
+
+  return values.map(function (item) {
+    return _coerce(schema, path, item);
+  });
+};
+
+
+/**
+ * Build the condition for a single path
+ * @param  {Schema} schema Mongoose schema
+ * @param  {String} path   Path name
+ * @param  {Mixed}  value  String, array or map of operators
+ * @return {Mixed}
+ */
+
+var _buildCondition = function (schema, path, value) {
+  var condition = {};
+
+  if (_.isArray(value)) { return { $in: _coerceList(schema, path, value) }; }
+  if (!_.isPlainObject(value)) { return _coerce(schema, path, value); }
+
+  _.each(value, function (operand, operator) {
+
+    // $eq is not understood by every mongoose version
+    if (operator === 'eq') {
+      condition.$in = [_coerce(schema, path, operand)];
+      return;
+    }
+
+    if (COMPARISON[operator]) {
+      condition[COMPARISON[operator]] = _coerce(schema, path, operand);
+      return;
+    }
+
+    if (LIST[operator]) {
+      condition[LIST[operator]] = _coerceList(schema, path, operand);
+      return;
+    }
+
+    switch (operator) {
+    case 'exists':
+      if (operand !== 'true' && operand !== 'false') { throw errors.create(400, 'Expected true or false for ' + path + '[exists]'); }
+      condition.$exists = operand === 'true';
+      return;
+    case 'regex':
+      if (String(operand).length > REGEX_LIMIT) { throw errors.create(400, 'Regular expressions are limited to ' + REGEX_LIMIT + ' characters for ' + path); }
+
+      try {
+        condition.$regex = new RegExp(String(operand), 'i');
+      } catch (err) {
+        throw errors.create(400, 'Invalid regular expression for ' + path);
+      }
+      return;
+    case 'prefix':
+      condition.$regex = new RegExp('^' + escapeRegExp(operand), 'i');
+      return;
+    default:
+      throw errors.create(400, 'Unknown operator ' + operator + ' for ' + path);
+    }
+  });
+
+  return condition;
+};
+
+
+/**
+ * Build mongoose criteria from query string filters
+ * @param  {Object} query   Filters, usually req.query without reserved params
+ * @param  {Schema} schema  Mongoose schema of the list being filtered
+ * @param  {Array}   allowed Paths that may be filtered on
+ * @param  {Boolean} strict  Respond with 400 to params that aren't paths of the schema, instead of ignoring them
+ * @return {Object}          Mongoose criteria
+ */
+
+var parse = function (query, schema, allowed, strict) {
+  var criteria = {};
+
+  _.each(query, function (value, key) {
+    if (GROUPS[key]) {
+      if (!_.isArray(value) && !_.isPlainObject(value)) { throw errors.create(400, 'Expected a list of filters for ' + key); }
+
+      criteria[GROUPS[key]] = _.map(value, function (group) {
+        if (!_.isPlainObject(group)) { throw errors.create(400, 'Expected a list of filters for ' + key); }
+        return parse(group, schema, allowed, strict);
+      });
+      return;
+    }
+
+    if (!schema.path(key) && !strict) { return; }
+    if (allowed.indexOf(key) === -1) { throw errors.create(400, 'Cannot filter on ' + key); }
+
+    criteria[key] = _buildCondition(schema, key, value);
+  });
+
+  return criteria;
+};
+
+
+/**
+ * Check whether query string filters use an operator, in any group
+ * @param  {Object}  query    Filters, as given to parse
+ * @param  {String}  operator Operator as it appears in the query string, such as regex
+ * @return {Boolean}
+ */
+
+var uses = function (query, operator) {
+  return _.some(query, function (value, key) {
+    if (GROUPS[key]) {
+      return _.some(value, function (group) {
+        return _.isPlainObject(group) && uses(group, operator);
+      });
+    }
+
+    return _.isPlainObject(value) && _.has(value, operator);
+  });
+};
+
+
+/**
+ * Get a value that compares with ===, < and >
+ * @param  {Mixed} value Document or criteria value
+ * @return {Mixed}
+ */
+
+var _comparable = function (value) {
+  if (_.isDate(value)) { return value.getTime(); }
+  if (value && value._bsontype === 'ObjectID') { return String(value); }
+  return value;
+};
+
+
+/**
+ * Check a single value against an operator
+ * @param  {Mixed}   value    Value stored in the document
+ * @param  {String}  operator Criteria operator, such as $gt
+ * @param  {Mixed}   operand  Value of the operator
+ * @return {Boolean}
+ */
+
+var _test = function (value, operator, operand) {
+  var comparable = _comparable(value);
+
+  switch (operator) {
+  case '$in':
+    return _.some(operand, function (item) { return comparable === _comparable(item); });
+  case '$gt':
+    return value !== undefined && value !== null && comparable > _comparable(operand);
+  case '$gte':
+    return value !== undefined && value !== null && comparable >= _comparable(operand);
+  case '$lt':
+    return value !== undefined && value !== null && comparable < _comparable(operand);
+  case '$lte':
+    return value !== undefined && value !== null && comparable <= _comparable(operand);
+  case '$regex':
+    return typeof value === 'string' && operand.test(value);
+  default:
+    return false;
+  }
+};
+
+
+/**
+ * Check the value of a path against its condition. Arrays match when any
+ * of their items does, like they do in MongoDB.
+ * @param  {Mixed}   value     Value stored in the document
+ * @param  {Mixed}   condition Condition built by parse
+ * @return {Boolean}
+ */
+
+var _matchesCondition = function (value, condition) {
+  var values = _.isArray(value) ? value : [value];
+
+  if (!_.isPlainObject(condition)) { condition = { $in: [condition] }; }
+
+  return _.every(condition, function (operand, operator) {
+    if (operator === '$exists') { return (value !== undefined) === operand; }
+    if (operator === '$ne') { return !_.some(values, function (item) { return _test(item, '$in', [operand]); }); }
+    if (operator === '$nin') { return !_.some(values, function (item) { return _test(item, '$in', operand); }); }
+
+    return _.some(values, function (item) {
+      return _test(item, operator, operand);
+    });
+  });
+};
+
+
+/**
+ * Check whether a document matches criteria built by parse, without
+ * querying the database
+ * @param  {Object}  doc      Plain document
+ * @param  {Object}  criteria Result of parse
+ * @return {Boolean}
+ */
+
+var matches = function (doc, criteria) {
+  return _.every(criteria, function (condition, key) {
+    if (key === '$or') { return _.some(condition, function (group) { return matches(doc, group); }); }
+    if (key === '$and') { return _.every(condition, function (group) { return matches(doc, group); }); }
+
+    return _matchesCondition(_.get(doc, key), condition);
+  });
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  REGEX_LIMIT: REGEX_LIMIT,
+  parse: parse,
+  uses: uses,
+  matches: matches,
+  escapeRegExp: escapeRegExp
+};
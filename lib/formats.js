@@ -0,0 +1,210 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Writes list responses as JSON, CSV or newline delimited JSON.</p>
+  <p>The format is taken from the <code>format</code> query param, or else
+  from the <code>Accept</code> header. CSV columns are the dotted paths of
+  the documents, so composite fields such as <code>Types.Name</code> become
+  <code>name.first</code> and <code>name.last</code>. Arrays are joined with
+  semicolons, populated documents are written as their <code>_id</code>.
+  Cells that spreadsheets would read as formulas are prefixed with a
+  quote, numbers are not.</p>
+  <pre>
+  GET /api/users?format=csv
+  GET /api/users    Accept: application/x-ndjson
+  </pre>
+ */
+
+
+/**
+ * Content type of each format
+ * @type {Object}
+ */
+
+var TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+
+/**
+ * Work out the format of a response
+ * @param  {Object} req Express request
+ * @return {String}     json, csv or ndjson
+ */
+
+var negotiate = function (req) {
+  var format = req.query.format;
+
+  if (format !== undefined) {
+    if (!_.has(TYPES, format)) { throw errors.create(400, 'format must be json, csv or ndjson'); }
+    return format;
+  }
+
+  return _.findKey(TYPES, function (type) { return type === req.accepts(_.values(TYPES)); }) || 'json';
+};
+
+
+/**
+ * Turn a value into a CSV cell
+ * @param  {Mixed}  value
+ * @return {String}
+ */
+
+var _cell = function (value) {
+  if (value === undefined || value === null) { return ''; }
+
+  if (_.isArray(value)) {
+    return value.map(function (item) {
+      return _.isPlainObject(item) && _.has(item, '_id') ? item._id : _cell(item);
+    }).join(';');
+  }
+
+  if (_.isDate(value)) { return value.toISOString(); }
+  if (_.isObject(value)) { return JSON.stringify(value); }
+
+  return String(value);
+};
+
+
+/**
+ * Flatten a document into dotted paths
+ * @param  {Object} doc    Plain document
+ * @param  {String} prefix Path of doc in the parent document
+ * @param  {Object} row    Flattened values, keyed by path
+ * @return {Object}        row
+ */
+
+var _flatten = function (doc, prefix, row) {
+  _.each(doc, function (value, key) {
+    var path = prefix ? prefix + '.' + key : key;
+
+    // Populated documents are written as their _id
+    if (prefix === '' && _.isPlainObject(value) && _.has(value, '_id')) {
+      row[path] = value._id;
+    } else if (_.isPlainObject(value)) {
+      _flatten(value, path, row);
+    } else {
+      row[path] = value;
+    }
+  });
+
+  return row;
+};
+
+
+/**
+ * Quote a CSV field when needed, and keep spreadsheets from running it as a
+ * formula. Numbers are left alone so they stay numbers.
+ * @param  {String} value
+ * @return {String}
+ */
+
+var _quote = function (value) {
+  if ((/^[=+\-@\t\r]/).test(value) && !(/^[+\-]?(\d+\.?\d*|\.\d+)(e[+\-]?\d+)?$/i).test(value)) { value = '\'' + value; }
+
+  return (/[",\r\n]/).test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+};
+
+
+/**
+ * Write a CSV line
+ * @param  {Array}  values Cells
+ * @return {String}
+ */
+
+var _line = function (values) {
+  return values.map(_quote).join(',') + '\r\n';
+};
+
+
+/**
+ * Create a writer that turns batches of documents into chunks of a response.
+ * CSV columns are taken from the first batch, so CSV is written in one.
+ * @param  {String} format json, csv or ndjson
+ * @return {Object}        start, write and end functions returning strings
+ */
+
+var writer = function (format) {
+  var count = 0,
+    columns;
+
+  return {
+    start: function () {
+      return format === 'json' ? '[' : '';
+    },
+
+    write: function (docs) {
+      var chunk = '',
+        rows;
+
+      if (!docs.length) { return chunk; }
+
+      if (format === 'ndjson') {
+        chunk = docs.map(function (doc) { return JSON.stringify(doc) + '\n'; }).join('');
+      } else if (format === 'csv') {
+        rows = docs.map(function (doc) {
+          return _flatten(JSON.parse(JSON.stringify(doc)), '', {});
+        });
+
+        if (!columns) {
+          columns = _.uniq(_.flatten(rows.map(_.keys)));
+          chunk = _line(columns);
+        }
+
+        chunk += rows.map(function (row) {
+          return _line(columns.map(function (column) { return _cell(row[column]); }));
+        }).join('');
+      } else {
+        chunk = (count ? ',' : '') + docs.map(function (doc) { return JSON.stringify(doc); }).join(',');
+      }
+
+      count += docs.length;
+
+      return chunk;
+    },
+
+    end: function () {
+      return format === 'json' ? ']' : '';
+    }
+  };
+};
+
+
+/**
+ * Write documents as CSV
+ * @param  {Array}  docs Plain documents, as sent in JSON responses
+ * @return {String}
+ */
+
+var toCsv = function (docs) {
+  return writer('csv').write(docs);
+};
+
+
+/**
+ * Write documents as newline delimited JSON
+ * @param  {Array}  docs Plain documents
+ * @return {String}
+ */
+
+var toNdjson = function (docs) {
+  return writer('ndjson').write(docs);
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  TYPES: TYPES,
+  negotiate: negotiate,
+  writer: writer,
+  toCsv: toCsv,
+  toNdjson: toNdjson
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+var _ = require('lodash'),
+  hides = require('./adapters').hides;
+
+/**
+  <p>Records changes made through the api to lists added with the
+  <code>history</code> option.</p>
+  <p>Every create, update and delete stores a revision holding who made the
+  change, when, through which route, and the value of each changed field
+  before and after. Fields with <code>restSelected: false</code>, passwords
+  and values their adapter leaves out of responses are never recorded.</p>
+  <pre>
+  { list: 'User', item: '5470...', action: 'update', actor: '5471...',
+    route: 'PATCH /api/users/:user', at: '2015-03-02T10:00:00.000Z',
+    changes: [{ path: 'email', before: 'old@example.com', after: 'new@example.com' }] }
+  </pre>
+ */
+
+
+/**
+ * Name of the revision model
+ * @type {String}
+ */
+
+var MODEL = 'KeystoneRestRevision';
+
+
+/**
+ * Collection revisions are stored in
+ * @type {String}
+ */
+
+var COLLECTION = 'keystone_rest_revisions';
+
+
+/**
+ * Get the revision model, creating it on first use
+ * @param  {Mongoose} mongoose Mongoose instance lists are registered with
+ * @return {Model}
+ */
+
+var model = function (mongoose) {
+  var Mixed = mongoose.Schema.Types.Mixed,
+    schema;
+
+  if (mongoose.modelNames().indexOf(MODEL) !== -1) { return mongoose.model(MODEL); }
+
+  schema = new mongoose.Schema({
+    list: { type: String, required: true },
+    item: { type: Mixed, required: true },
+    action: { type: String, required: true },
+    actor: Mixed,
+    route: String,
+    at: { type: Date, 'default': Date.now },
+    changes: [Mixed],
+    revertedTo: mongoose.Schema.Types.ObjectId
+  }, { versionKey: false });
+
+  schema.index({ list: 1, item: 1, _id: -1 });
+
+  return mongoose.model(MODEL, schema, COLLECTION);
+};
+
+
+/**
+ * Copy a document before it changes
+ * @param  {Document} doc Mongoose document
+ * @return {Object}       Plain copy, null if there is no document
+ */
+
+var snapshot = function (doc) {
+  if (!doc) { return null; }
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+
+/**
+ * Get the value of a path, treating missing values as null
+ * @param  {Object} object Plain document
+ * @param  {String} path   Dotted path
+ * @return {Mixed}
+ */
+
+var _value = function (object, path) {
+  var value = object ? _.get(object, path) : undefined;
+
+  return value === undefined ? null : value;
+};
+
+
+/**
+ * Check whether a Keystone field is kept out of revisions. Passwords are,
+ * and so are values the field's adapter leaves out of responses.
+ * @param  {Field}   field    Keystone field
+ * @param  {Object}  adapters Field type adapters, see lib/adapters
+ * @param  {Array}   docs     Plain versions of the document, or null
+ * @return {Boolean}
+ */
+
+var _unrecorded = function (field, adapters, docs) {
+  var adapter = adapters ? adapters[field.type] : undefined;
+
+  if (hides(field, adapters)) { return true; }
+  if (!adapter || !adapter.format) { return false; }
+
+  return _.some(docs, function (doc) {
+    var value = doc ? _.get(doc, field.path) : undefined;
+
+    return value !== null && value !== undefined && adapter.format(_.cloneDeep(value), field) === undefined;
+  });
+};
+
+
+/**
+ * List the fields that differ between two versions of a document
+ * @param  {Schema} schema   Mongoose schema of the list
+ * @param  {Object} before   Document before the change, null when created
+ * @param  {Object} after    Document after the change, null when deleted
+ * @param  {Object} fields   Keystone fields of the list keyed by path, to leave unrecorded ones out
+ * @param  {Object} adapters Field type adapters, see lib/adapters
+ * @return {Array}           Changes of { path, before, after }
+ */
+
+var diff = function (schema, before, after, fields, adapters) {
+  var changes = [];
+
+  before = snapshot(before);
+  after = snapshot(after);
+
+  _.each(schema.paths, function (schemaPath, path) {
+    var was = _value(before, path),
+      now = _value(after, path),
+      field = _.find(fields, function (field, key) {
+        return path === key || path.indexOf(key + '.') === 0;
+      });
+
+    if (path === '_id' || path === schema.options.versionKey || schemaPath.options.restSelected === false) { return; }
+    if (field && _unrecorded(field, adapters, [before, after])) { return; }
+    if (JSON.stringify(was) === JSON.stringify(now)) { return; }
+
+    changes.push({ path: path, before: was, after: now });
+  });
+
+  return changes;
+};
+
+
+/**
+ * Work out the values that undo a list of revisions
+ * @param  {Array}  revisions Revisions to undo, newest first
+ * @return {Object}           Values keyed by path
+ */
+
+var undo = function (revisions) {
+  var values = {};
+
+  // Older revisions overwrite newer ones, leaving each path as it was before the first change
+  _.each(revisions, function (revision) {
+    _.each(revision.changes, function (change) {
+      values[change.path] = change.before;
+    });
+  });
+
+  return values;
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  model: model,
+  snapshot: snapshot,
+  diff: diff,
+  undo: undo
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+  <p>Runs the lifecycle hooks given in the <code>hooks</code> list option.</p>
+  <p>Hooks are grouped by action. Relationship routes use the hooks of their
+  relationship path. Each hook may return a value, return a promise, or take
+  a callback as its last argument. Errors, thrown or passed on, are sent as
+  error responses.</p>
+  <pre>
+  hooks: {
+    list: { beforeQuery: function (req, query) { query.where('state', 'published'); } },
+    create: { beforeSave: function (req, doc, done) { doc.author = req.user._id; done(); } },
+    show: { transform: function (req, doc) { return _.omit(doc, 'internal'); } },
+    relationships: { posts: { beforeQuery: function (req, query) { return query.sort('-publishedDate'); } } }
+  }
+  </pre>
+ */
+
+
+/**
+ * Hooks an action may have
+ * @type {Array}
+ */
+
+var HOOKS = ['beforeQuery', 'beforeSave', 'afterSave', 'transform'];
+
+
+/**
+ * Get the hooks of an action
+ * @param  {Object} options      List options passed to addRoutes
+ * @param  {String} action       Route action (list, show, create, update, delete)
+ * @param  {String} relationship Relationship path, for relationship routes
+ * @return {Object}              Hooks, empty if there are none
+ */
+
+var get = function (options, action, relationship) {
+  var hooks = options.hooks || {},
+    found = relationship ? (hooks.relationships || {})[relationship] : hooks[action];
+
+  _.each(found, function (hook, name) {
+    if (HOOKS.indexOf(name) === -1) { throw new Error('Unknown hook ' + name + ' for ' + (relationship || action)); }
+    if (typeof hook !== 'function') { throw new Error('Hook ' + name + ' for ' + (relationship || action) + ' must be a function'); }
+  });
+
+  return found || {};
+};
+
+
+/**
+ * Run a hook
+ * @param {Function} hook     Hook to run, may be undefined
+ * @param {Array}    args     Arguments to call it with
+ * @param {Function} callback Called with an error or the hook's result
+ */
+
+var run = function (hook, args, callback) {
+  var called = false,
+    result;
+
+  // Call back once, outside of promise handlers so errors thrown later aren't swallowed
+  var done = function (err, value) {
+    if (called) { return; }
+    called = true;
+    setImmediate(function () { callback(err, value); });
+  };
+
+  if (!hook) { return callback(); }
+
+  try {
+    result = hook.apply(null, hook.length > args.length ? args.concat(done) : args);
+  } catch (err) {
+    return done(err);
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.then(function (value) {
+      done(null, value);
+    }, function (err) {
+      done(err || new Error('Hook was rejected'));
+    });
+  }
+
+  if (hook.length <= args.length) { done(null, result); }
+};
+
+
+/**
+ * Run a transform hook on each document of a response
+ * @param {Function} hook     Transform hook, may be undefined
+ * @param {Object}   req      Express request
+ * @param {Array}    docs     Documents as they would be sent
+ * @param {Function} callback Called with the transformed documents
+ */
+
+var transform = function (hook, req, docs, callback) {
+  var results = [],
+    index = 0;
+
+  var next = function (err) {
+    if (err) { return callback(err); }
+    if (index >= docs.length) { return callback(null, results); }
+
+    run(hook, [req, docs[index]], function (err, result) {
+      results.push(result === undefined ? docs[index] : result);
+      index += 1;
+      next(err);
+    });
+  };
+
+  if (!hook) { return callback(null, docs); }
+
+  next();
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  get: get,
+  run: run,
+  transform: transform
+};
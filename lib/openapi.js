@@ -0,0 +1,746 @@
+'use strict';
+
+var _ = require('lodash'),
+  permissions = require('./permissions'),
+  uploads = require('./uploads'),
+  serializers = require('./serializers');
+
+/**
+  <p>Builds an OpenAPI 3 document describing the routes added with
+  addRoutes.</p>
+  <p>Every Keystone list becomes a schema under
+  <code>components.schemas</code>. Fields with <code>restEditable: false</code>
+  are marked <code>readOnly</code> and fields with
+  <code>restSelected: false</code> are marked <code>writeOnly</code>, so one
+  schema describes both request and response bodies.</p>
+  <p>Lists shaping documents with a serializer other than raw describe
+  their documents with the serializer's content type instead.</p>
+ */
+
+
+/**
+ * Schemas for mongoose path instances
+ * @type {Object}
+ */
+
+var TYPES = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  Date: { type: 'string', format: 'date-time' },
+  Boolean: { type: 'boolean' },
+  ObjectID: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+  Buffer: { type: 'string', format: 'binary' }
+};
+
+
+/**
+ * String formats for Keystone field types
+ * @type {Object}
+ */
+
+var FORMATS = {
+  email: 'email',
+  url: 'uri',
+  password: 'password',
+  date: 'date',
+  datetime: 'date-time'
+};
+
+
+/**
+ * Query params shared by list routes
+ * @type {Object}
+ */
+
+var PARAMETERS = {
+  populate: {
+    name: 'populate',
+    'in': 'query',
+    description: 'Comma separated list of relationship paths to populate, nested with dots (posts.author)',
+    schema: { type: 'string' }
+  },
+  select: {
+    name: 'select',
+    'in': 'query',
+    description: 'Comma separated list of fields to return',
+    schema: { type: 'string' }
+  },
+  sort: {
+    name: 'sort',
+    'in': 'query',
+    description: 'Field to sort by, prefix with - for descending order',
+    schema: { type: 'string' }
+  },
+  skip: {
+    name: 'skip',
+    'in': 'query',
+    description: 'Number of documents to skip',
+    schema: { type: 'integer', minimum: 0 }
+  },
+  limit: {
+    name: 'limit',
+    'in': 'query',
+    description: 'Maximum number of documents to return',
+    schema: { type: 'integer', minimum: 1 }
+  },
+  after: {
+    name: 'after',
+    'in': 'query',
+    description: 'Cursor of the document to start after, taken from the next link',
+    schema: { type: 'string' }
+  },
+  before: {
+    name: 'before',
+    'in': 'query',
+    description: 'Cursor of the document to end before, taken from the prev link',
+    schema: { type: 'string' }
+  },
+  group: {
+    name: 'group',
+    'in': 'query',
+    description: 'Comma separated list of fields to group by, dates can be bucketed with :day, :week or :month',
+    schema: { type: 'string' }
+  },
+  metrics: {
+    name: 'metrics',
+    'in': 'query',
+    description: 'Comma separated list of count, sum:field, avg:field, min:field and max:field',
+    schema: { type: 'string' }
+  },
+  format: {
+    name: 'format',
+    'in': 'query',
+    description: 'Response format, overrides the Accept header',
+    schema: { type: 'string', 'enum': ['json', 'csv', 'ndjson'] }
+  },
+  q: {
+    name: 'q',
+    'in': 'query',
+    description: 'Search term, sorted by relevance when the list has a text index',
+    schema: { type: 'string' }
+  },
+  ids: {
+    name: 'ids',
+    'in': 'query',
+    description: 'Comma separated list of document keys',
+    schema: { type: 'string' }
+  }
+};
+
+
+/**
+ * Verbs used in operation ids
+ * @type {Object}
+ */
+
+var OPERATIONS = {
+  relationship: 'list',
+  show: 'get'
+};
+
+
+/**
+ * Actions whose documents are shaped by the list's serializer
+ * @type {Array}
+ */
+
+var SERIALIZED = ['list', 'relationship', 'attach', 'show', 'create', 'update', 'trash', 'restore', 'revert'];
+
+
+/**
+ * Shared components
+ * @type {Object}
+ */
+
+var COMPONENTS = {
+  headers: {
+    total: {
+      description: 'Number of documents matching the request filters',
+      schema: { type: 'integer' }
+    },
+    Link: {
+      description: 'RFC 5988 links to the first, prev and next pages',
+      schema: { type: 'string' }
+    }
+  },
+  responses: {
+    Malformed: {
+      description: 'The request has invalid params or body',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Status' } } }
+    },
+    Missing: {
+      description: 'No document has the given key',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Status' } } }
+    }
+  },
+  schemas: {
+    Status: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        message: { type: 'string' }
+      }
+    },
+    BulkResult: {
+      type: 'object',
+      properties: {
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer' },
+              id: { type: 'string' },
+              success: { type: 'boolean' },
+              item: { type: 'object' },
+              error: { $ref: '#/components/schemas/Status' }
+            }
+          }
+        }
+      }
+    },
+    Revision: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        action: { type: 'string', 'enum': ['create', 'update', 'delete', 'restore', 'purge', 'revert'] },
+        actor: {},
+        route: { type: 'string' },
+        at: { type: 'string', format: 'date-time' },
+        changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { path: { type: 'string' }, before: {}, after: {} }
+          }
+        },
+        revertedTo: { type: 'string' }
+      }
+    },
+    JsonPatch: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['op', 'path'],
+        properties: {
+          op: { type: 'string', 'enum': ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+          path: { type: 'string' },
+          from: { type: 'string' },
+          value: {}
+        }
+      }
+    }
+  }
+};
+
+
+/**
+ * Describe a single schema path
+ * @param  {SchemaType} schemaPath Mongoose schema path
+ * @param  {Field}      field      Keystone field at the same path, if any
+ * @return {Object}                OpenAPI schema
+ */
+
+var _describePath = function (schemaPath, field) {
+  var property,
+    ref = schemaPath.options.ref;
+
+  if (schemaPath.caster) {
+    property = {
+      type: 'array',
+      items: _describePath(schemaPath.caster, null)
+    };
+    ref = schemaPath.caster.options && schemaPath.caster.options.ref;
+    if (ref) { property.items.description = 'Id of a ' + ref; }
+  } else {
+    property = _.clone(TYPES[schemaPath.instance] || {});
+    if (ref) { property.description = 'Id of a ' + ref; }
+  }
+
+  if (schemaPath.enumValues && schemaPath.enumValues.length) { property['enum'] = schemaPath.enumValues; }
+  if (field && FORMATS[field.type] && property.type === 'string') { property.format = FORMATS[field.type]; }
+
+  return property;
+};
+
+
+/**
+ * Build the OpenAPI schema for a Keystone list
+ * @param  {List}   list Keystone list
+ * @return {Object}      OpenAPI schema
+ */
+
+var listSchema = function (list) {
+  var schema = list.model.schema,
+    versionKey = schema.options.versionKey,
+    result = { type: 'object', properties: {} };
+
+  _.each(schema.paths, function (schemaPath, path) {
+    var property = _describePath(schemaPath, list.fields && list.fields[path]),
+      options = schemaPath.options,
+      parts = path.split('.'),
+      name = parts.pop(),
+      parent = result;
+
+    if (options.restSelected === false) { property.writeOnly = true; }
+    if (options.restEditable === false || path === '_id' || path === versionKey) { property.readOnly = true; }
+    if (_.isArray(options.type) && options.type[0] && options.type[0].restEditable === false) { property.readOnly = true; }
+
+    // Rules that depend on the request can only be described in words
+    if (permissions.isConditional(options.restSelected)) { property['x-visibility'] = 'Only returned to some users'; }
+    if (permissions.isConditional(options.restEditable)) { property['x-editability'] = 'Only editable by some users'; }
+
+    // Nest dotted paths such as name.first
+    parts.forEach(function (part) {
+      parent.properties[part] = parent.properties[part] || { type: 'object', properties: {} };
+      parent = parent.properties[part];
+    });
+
+    parent.properties[name] = property;
+
+    if (schemaPath.isRequired) {
+      parent.required = parent.required || [];
+      parent.required.push(name);
+    }
+  });
+
+  return result;
+};
+
+
+/**
+ * Reference to a list schema, adding it to components when first used
+ * @param  {Object} spec OpenAPI document being built
+ * @param  {List}   list Keystone list
+ * @return {Object}      $ref object
+ */
+
+var _ref = function (spec, list) {
+  if (!spec.components.schemas[list.key]) {
+    spec.components.schemas[list.key] = listSchema(list);
+  }
+
+  return { $ref: '#/components/schemas/' + list.key };
+};
+
+
+/**
+ * JSON content wrapper
+ * @param  {Object} schema OpenAPI schema
+ * @return {Object}
+ */
+
+var _json = function (schema) {
+  return { 'application/json': { schema: schema } };
+};
+
+
+/**
+ * Describe the multipart body uploading files to a list's file fields
+ * @param  {List}   list Keystone list
+ * @return {Object}      Media type object, undefined if the list has no file fields
+ */
+
+var _multipart = function (list) {
+  var properties = {};
+
+  _.each(uploads.fileFields(list.fields), function (field) {
+    properties[field.path] = { type: 'string', format: 'binary' };
+  });
+
+  if (_.isEmpty(properties)) { return undefined; }
+
+  return { schema: { type: 'object', description: 'Any other part sets the field it is named after', properties: properties } };
+};
+
+
+/**
+ * Reference to a shared query param
+ * @param  {String} name Param name
+ * @return {Object}      $ref object
+ */
+
+var _param = function (name) {
+  return { $ref: '#/components/parameters/' + name };
+};
+
+
+/**
+ * Describe the response of a list or relationship route
+ * @param  {Object} schema Item schema
+ * @return {Object}
+ */
+
+var _listResponse = function (schema) {
+  var content = _json({ type: 'array', items: schema });
+
+  content['text/csv'] = { schema: { type: 'string' } };
+  content['application/x-ndjson'] = { schema: { type: 'string' } };
+
+  return {
+    description: 'A page of documents',
+    headers: {
+      total: { $ref: '#/components/headers/total' },
+      Link: { $ref: '#/components/headers/Link' }
+    },
+    content: content
+  };
+};
+
+
+/**
+ * Describe the query params of a list or relationship route
+ * @param  {Object} options List options passed to addRoutes
+ * @return {Array}
+ */
+
+var _listParameters = function (options) {
+  var names = ['q', 'populate', 'select', 'sort', 'limit', 'format'];
+
+  names = names.concat(options && options.cursor ? ['after', 'before'] : ['skip']);
+
+  return names.map(_param);
+};
+
+
+/**
+ * Describe a path param
+ * @param  {String} param Param as it appears in the route, such as :id
+ * @param  {Object} route Entry of KeystoneRest.routes
+ * @return {String}
+ */
+
+var _describeParam = function (param, route) {
+  if (param === ':id') { return 'The _id of the ' + route.list.singular; }
+  if (param === ':related') { return 'The _id of the related document'; }
+  if (param === ':revision') { return 'The _id of the revision'; }
+  return 'The ' + route.findBy + ' of the ' + route.list.singular;
+};
+
+
+/**
+ * Describe the JSON bodies of a route whose list has a serializer other than raw
+ * @param {Object} operation OpenAPI operation, changed in place
+ * @param {Object} route     Entry of KeystoneRest.routes
+ */
+
+var _serialize = function (operation, route) {
+  var serializer = route.serializer,
+    type = serializer.type || 'application/json',
+    many = ['list', 'relationship', 'trash'].indexOf(route.action) !== -1,
+    links = { type: 'object', additionalProperties: { type: 'string' } };
+
+  // The envelope is known, other serializers are described by their type
+  var wrap = function (schema, many) {
+    if (serializer !== serializers.SERIALIZERS.envelope) { return { type: 'object', description: 'A ' + type + ' document' }; }
+    if (!many) { return { type: 'object', properties: { data: schema, links: links } }; }
+
+    return {
+      type: 'object',
+      properties: { data: schema, meta: { type: 'object', properties: { total: { type: 'integer' } } }, links: links }
+    };
+  };
+
+  _.each([operation.requestBody, operation.responses['200']], function (body) {
+    var json = body && body.content['application/json'];
+
+    if (!json) { return; }
+
+    delete body.content['application/json'];
+    body.content[type] = { schema: wrap(json.schema, many && body !== operation.requestBody) };
+  });
+};
+
+
+/**
+ * Describe one route
+ * @param  {Object}   spec    OpenAPI document being built
+ * @param  {Object}   route   Entry of KeystoneRest.routes
+ * @param  {Function} getList Looks up a Keystone list by key
+ * @return {Object}           OpenAPI operation
+ */
+
+var _describeRoute = function (spec, route, getList) {
+  var list = route.list,
+    schema = _ref(spec, list),
+    plural = list.plural || list.key,
+    operation = { tags: [list.key], parameters: [], responses: {} },
+    refList;
+
+  // Path params
+  (route.route.match(/:\w+/g) || []).forEach(function (param) {
+    operation.parameters.push({
+      name: param.slice(1),
+      'in': 'path',
+      required: true,
+      description: _describeParam(param, route),
+      schema: { type: 'string' }
+    });
+  });
+
+  switch (route.action) {
+  case 'list':
+    operation.summary = 'List ' + plural;
+    operation.description = 'Any other query param filters the list, see the filtering section of the README';
+    operation.parameters = operation.parameters.concat(_listParameters(route.options));
+    operation.responses['200'] = _listResponse(schema);
+    break;
+  case 'relationship':
+    refList = getList(list.model.schema.paths[route.relationship].caster.options.ref);
+    operation.summary = 'List ' + route.relationship + ' of a ' + list.singular;
+    operation.parameters = operation.parameters.concat(_listParameters(route.options));
+    operation.responses['200'] = _listResponse(_ref(spec, refList));
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'attach':
+    refList = getList(list.model.schema.paths[route.relationship].caster.options.ref);
+    operation.summary = 'Attach a document to the ' + route.relationship + ' of a ' + list.singular;
+    operation.description = 'Send { _id } to attach an existing document, or the fields of a new one to create it';
+    operation.requestBody = { required: true, content: _json(_ref(spec, refList)) };
+    operation.responses['200'] = { description: 'The attached document', content: _json(_ref(spec, refList)) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'reorder':
+    operation.summary = 'Reorder the ' + route.relationship + ' of a ' + list.singular;
+    operation.requestBody = { required: true, content: _json({ type: 'array', items: { type: 'string' } }) };
+    operation.responses['200'] = { description: 'The ids in their new order', content: _json({ type: 'array', items: { type: 'string' } }) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'detach':
+    operation.summary = 'Detach a document from the ' + route.relationship + ' of a ' + list.singular;
+    operation.responses['200'] = { description: 'The document was detached', content: _json({ $ref: '#/components/schemas/Status' }) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'aggregate':
+    operation.summary = 'Group ' + plural + ' and work out metrics for each group';
+    operation.description = 'Any other query param filters the documents, see the filtering section of the README';
+    operation.parameters = operation.parameters.concat(['group', 'metrics', 'sort', 'limit'].map(_param));
+    operation.responses['200'] = {
+      description: 'The groups',
+      content: _json({
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            group: { type: 'object' },
+            count: { type: 'integer' },
+            sum: { type: 'object' },
+            avg: { type: 'object' },
+            min: { type: 'object' },
+            max: { type: 'object' }
+          }
+        }
+      })
+    };
+    break;
+  case 'show':
+    operation.summary = 'Get a ' + list.singular;
+    operation.parameters = operation.parameters.concat([_param('populate'), _param('select')]);
+    operation.responses['200'] = { description: 'The document', content: _json(schema) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'create':
+    operation.summary = 'Create a ' + list.singular;
+    operation.requestBody = { required: true, content: _json(schema) };
+    if (_multipart(list)) { operation.requestBody.content['multipart/form-data'] = _multipart(list); }
+    operation.responses['200'] = { description: 'The created document', content: _json(schema) };
+    break;
+  case 'update':
+    operation.summary = (route.method === 'put' ? 'Replace' : 'Update') + ' a ' + list.singular;
+    operation.parameters = operation.parameters.concat([_param('populate'), _param('select')]);
+    operation.requestBody = { required: true, content: _json(schema) };
+    if (route.method === 'patch') {
+      operation.requestBody.content['application/merge-patch+json'] = { schema: schema };
+      operation.requestBody.content['application/json-patch+json'] = { schema: { $ref: '#/components/schemas/JsonPatch' } };
+    }
+    if (_multipart(list)) { operation.requestBody.content['multipart/form-data'] = _multipart(list); }
+    operation.responses['200'] = { description: 'The updated document', content: _json(schema) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'download':
+    operation.summary = 'Download the ' + route.field + ' file of a ' + list.singular;
+    operation.responses['200'] = { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'delete':
+    operation.summary = 'Delete a ' + list.singular;
+    operation.responses['200'] = { description: 'The document was deleted', content: _json({ $ref: '#/components/schemas/Status' }) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'trash':
+    operation.summary = 'List deleted ' + plural;
+    operation.parameters = operation.parameters.concat(_listParameters(route.options));
+    operation.responses['200'] = _listResponse(schema);
+    break;
+  case 'restore':
+    operation.summary = 'Restore a deleted ' + list.singular;
+    operation.responses['200'] = { description: 'The restored document', content: _json(schema) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'purge':
+    operation.summary = 'Delete a ' + list.singular + ' in the trash for good';
+    operation.responses['200'] = { description: 'The document was purged', content: _json({ $ref: '#/components/schemas/Status' }) };
+    operation.responses['403'] = { description: 'Only admins may purge documents', content: _json({ $ref: '#/components/schemas/Status' }) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'events':
+    operation.summary = 'Stream changes to ' + plural + ' as Server-Sent Events';
+    operation.description = 'Sends created, updated and deleted events. Any query param filters the events, see the filtering section of the README';
+    operation.parameters.push({
+      name: 'Last-Event-ID',
+      'in': 'header',
+      description: 'Id of the last event received, to resume after it',
+      schema: { type: 'string' }
+    });
+    operation.responses['200'] = { description: 'An event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } };
+    break;
+  case 'history':
+    operation.summary = 'List the changes made to a ' + list.singular + ', newest first';
+    operation.parameters = operation.parameters.concat([_param('limit'), _param('skip')]);
+    operation.responses['200'] = {
+      description: 'The revisions',
+      headers: {
+        total: { $ref: '#/components/headers/total' },
+        Link: { $ref: '#/components/headers/Link' }
+      },
+      content: _json({ type: 'array', items: { $ref: '#/components/schemas/Revision' } })
+    };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'revert':
+    operation.summary = 'Undo the changes made to a ' + list.singular + ' after a revision';
+    operation.responses['200'] = { description: 'The reverted document', content: _json(schema) };
+    operation.responses['404'] = { $ref: '#/components/responses/Missing' };
+    break;
+  case 'bulkCreate':
+    operation.summary = 'Create many ' + plural;
+    operation.requestBody = { required: true, content: _json({ type: 'array', items: schema }) };
+    operation.responses['200'] = { description: 'Result for every item', content: _json({ $ref: '#/components/schemas/BulkResult' }) };
+    break;
+  case 'bulkUpdate':
+    operation.summary = 'Update many ' + plural;
+    operation.requestBody = {
+      required: true,
+      content: _json({
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'changes'],
+          properties: { id: { type: 'string' }, changes: schema }
+        }
+      })
+    };
+    operation.responses['200'] = { description: 'Result for every item', content: _json({ $ref: '#/components/schemas/BulkResult' }) };
+    break;
+  case 'bulkDelete':
+    operation.summary = 'Delete many ' + plural;
+    operation.description = 'Deletes the documents listed in ids, or matching the filter query params';
+    operation.parameters.push(_param('ids'));
+    operation.responses['200'] = { description: 'Result for every item', content: _json({ $ref: '#/components/schemas/BulkResult' }) };
+    break;
+  }
+
+  if (route.serializer && route.serializer !== serializers.SERIALIZERS.raw && SERIALIZED.indexOf(route.action) !== -1) { _serialize(operation, route); }
+
+  operation.operationId = _.camelCase([OPERATIONS[route.action] || route.action, list.key, route.relationship || ''].join(' '));
+  if (route.action === 'update' && route.method === 'put') { operation.operationId = _.camelCase('replace ' + list.key); }
+
+  if (!operation.parameters.length) { delete operation.parameters; }
+  if (!operation.responses['400']) { operation.responses['400'] = { $ref: '#/components/responses/Malformed' }; }
+
+  return operation;
+};
+
+
+/**
+ * Describe create and bulk create, which share their path and method, as
+ * one operation taking a document or an array of them
+ * @param  {Object} create Operation of the create route
+ * @param  {Object} bulk   Operation of the bulk create route
+ * @return {Object}        The create operation
+ */
+
+var _mergeBulkCreate = function (create, bulk) {
+  var created = create.responses['200'],
+    results = bulk.responses['200'].content['application/json'].schema,
+    json = created.content['application/json'];
+
+  create.summary += ', or many at once';
+
+  _.each(create.requestBody.content, function (media, type) {
+    if (type !== 'multipart/form-data') { media.schema = { oneOf: [media.schema, { type: 'array', items: media.schema }] }; }
+  });
+
+  created.description += ', or the result for every item of an array';
+  created.content['application/json'] = { schema: json ? { oneOf: [json.schema, results] } : results };
+
+  return create;
+};
+
+
+/**
+ * Build an OpenAPI document
+ * @param  {Array}    routes  KeystoneRest.routes
+ * @param  {Function} getList Looks up a Keystone list by key
+ * @param  {Object}   info    OpenAPI info object (title, version)
+ * @return {Object}           OpenAPI document
+ */
+
+var generate = function (routes, getList, info) {
+  var spec = {
+      openapi: '3.0.0',
+      info: info,
+      paths: {},
+      components: _.cloneDeep(COMPONENTS)
+    },
+    operationIds = {},
+    actions = {};
+
+  spec.components.parameters = _.cloneDeep(PARAMETERS);
+
+  _.each(routes, function (route) {
+    var path,
+      operation,
+      existing,
+      key,
+      id;
+
+    // Only describe routes that belong to a list
+    if (!route.list) { return; }
+
+    path = route.route.replace(/:(\w+)/g, '{$1}');
+    key = route.method + ' ' + path;
+    spec.paths[path] = spec.paths[path] || {};
+    existing = spec.paths[path][route.method];
+    operation = _describeRoute(spec, route, getList);
+
+    // Bulk create answers the create route's path and method when the body is an array
+    if (existing && actions[key] === 'bulkCreate' && route.action === 'create') { operation = _mergeBulkCreate(operation, existing); }
+    if (existing && actions[key] === 'create' && route.action === 'bulkCreate') {
+      _mergeBulkCreate(existing, operation);
+      return;
+    }
+
+    actions[key] = route.action;
+    spec.paths[path][route.method] = operation;
+
+    // A list added under several prefixes gets numbered operation ids
+    id = operation.operationId;
+    operationIds[id] = (operationIds[id] || 0) + 1;
+    if (operationIds[id] > 1) { operation.operationId = id + operationIds[id]; }
+  });
+
+  return spec;
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  generate: generate,
+  listSchema: listSchema
+};
@@ -0,0 +1,349 @@
+'use strict';
+
+var _ = require('lodash'),
+  unescape = require('querystring').unescape,
+  errors = require('./errors');
+
+/**
+  <p>Offset and cursor paging for list and relationship routes.</p>
+  <p>Offset paging uses <code>skip</code> and <code>limit</code>. Lists
+  added with the <code>cursor</code> option page with opaque
+  <code>after</code> and <code>before</code> tokens instead, built from the
+  sort key plus <code>_id</code> so that pages stay stable while documents
+  are inserted.</p>
+ */
+
+
+/**
+ * Query params that are rewritten when building page links
+ * @type {Array}
+ */
+
+var PARAMS = ['skip', 'limit', 'after', 'before'];
+
+
+/**
+ * Parse a non negative integer query param
+ * @param  {Mixed}  value Raw value
+ * @param  {String} name  Param name used in error messages
+ * @return {Number}
+ */
+
+var _parseInteger = function (value, name) {
+  if (value === undefined || value === '') { return undefined; }
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) { throw errors.create(400, name + ' must be a non negative integer'); }
+  return parseInt(value, 10);
+};
+
+
+/**
+ * Parse an offset sort param, only allowing paths the request may sort on
+ * @param  {Mixed}  value   Raw value
+ * @param  {Array}  allowed Paths that may be sorted on
+ * @return {String}         Mongoose sort string
+ */
+
+var _parseSort = function (value, allowed) {
+  if (value === undefined || value === '') { return undefined; }
+  if (typeof value !== 'string') { throw errors.create(400, 'sort must be a single param, separate fields with commas'); }
+
+  return _.compact(value.split(/[\s,]+/)).map(function (field) {
+    var path = field.replace(/^[\-+]/, '');
+
+    if (path !== '_id' && allowed.indexOf(path) === -1) { throw errors.create(400, 'Cannot sort on ' + path); }
+
+    return field.charAt(0) === '-' ? '-' + path : path;
+  }).join(' ') || undefined;
+};
+
+
+/**
+ * Encode the position of a document in a sorted list
+ * @param  {Document} doc  Mongoose document
+ * @param  {String}   path Sort path
+ * @return {String}        Opaque cursor token
+ */
+
+var encodeCursor = function (doc, path) {
+  var json = JSON.stringify([path === '_id' ? null : doc.get(path), doc.get('_id')]);
+
+  return new Buffer(json).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/\=+$/, '');
+};
+
+
+/**
+ * Decode a cursor token
+ * @param  {String} token  Token created by encodeCursor
+ * @param  {Schema} schema Mongoose schema of the list being paged
+ * @param  {String} path   Sort path
+ * @return {Object}        Sort value and _id
+ */
+
+var decodeCursor = function (token, schema, path) {
+  var decoded,
+    schemaPath = schema.path(path);
+
+  try {
+    decoded = JSON.parse(new Buffer(String(token).replace(/\-/g, '+').replace(/_/g, '/'), 'base64').toString());
+  } catch (err) {
+    throw errors.create(400, 'Invalid cursor');
+  }
+
+  if (!_.isArray(decoded) || decoded.length !== 2 || typeof decoded[1] !== 'string') { throw errors.create(400, 'Invalid cursor'); }
+
+  if (decoded[0] !== null && schemaPath && schemaPath.instance === 'Date') {
+    decoded[0] = new Date(decoded[0]);
+  }
+
+  return {
+    value: decoded[0],
+    id: decoded[1]
+  };
+};
+
+
+/**
+ * Work out how a request should be paged
+ * @param  {Object} query   Express request query
+ * @param  {Schema} schema  Mongoose schema of the list being paged
+ * @param  {Array}  allowed Paths that may be sorted on
+ * @param  {Object} options List options (defaultLimit, maxLimit, cursor)
+ * @return {Object}         Paging description used by the other helpers
+ */
+
+var parse = function (query, schema, allowed, options) {
+  var paging = {
+      limit: _parseInteger(query.limit, 'limit'),
+      cursor: !!options.cursor
+    },
+    sort,
+    direction;
+
+  if (paging.limit === 0) { throw errors.create(400, 'limit must be greater than 0'); }
+  if (paging.limit === undefined) { paging.limit = options.defaultLimit; }
+  if (options.maxLimit && (paging.limit === undefined || paging.limit > options.maxLimit)) { paging.limit = options.maxLimit; }
+
+  if (!paging.cursor) {
+    paging.skip = _parseInteger(query.skip, 'skip');
+    paging.sort = _parseSort(query.sort, allowed);
+    return paging;
+  }
+
+  if (query.skip) { throw errors.create(400, 'skip is not supported on this list, use after or before'); }
+  if (query.after && query.before) { throw errors.create(400, 'after and before cannot be combined'); }
+
+  sort = query.sort ? String(query.sort).trim() : '_id';
+  if (/[\s,]/.test(sort)) { throw errors.create(400, 'Only one sort field is supported on this list'); }
+
+  direction = sort.charAt(0) === '-' ? -1 : 1;
+  sort = sort.replace(/^[\-+]/, '');
+
+  if (sort !== '_id' && allowed.indexOf(sort) === -1) { throw errors.create(400, 'Cannot sort on ' + sort); }
+
+  paging.path = sort;
+  paging.direction = direction;
+
+  if (query.after) { paging.after = decodeCursor(query.after, schema, sort); }
+  if (query.before) {
+    paging.before = decodeCursor(query.before, schema, sort);
+
+    // Walk backwards from the cursor, results are reversed again in trim
+    direction = -direction;
+  }
+
+  paging.sort = {};
+  paging.sort[sort] = direction;
+  paging.sort._id = direction;
+
+  return paging;
+};
+
+
+/**
+ * Build criteria matching the documents after or before the cursor
+ * @param  {Object} paging Result of parse
+ * @return {Object}        Mongoose criteria, undefined without a cursor
+ */
+
+var seek = function (paging) {
+  var cursor = paging.after || paging.before,
+    op,
+    result,
+    tie;
+
+  if (!cursor) { return undefined; }
+
+  op = (paging.direction === 1) === !!paging.after ? '$gt' : '$lt';
+
+  if (paging.path === '_id') {
+    result = { _id: {} };
+    result._id[op] = cursor.id;
+    return result;
+  }
+
+  result = {};
+  result[paging.path] = {};
+  result[paging.path][op] = cursor.value;
+  tie = { _id: {} };
+  tie[paging.path] = cursor.value;
+  tie._id[op] = cursor.id;
+
+  return { $or: [result, tie] };
+};
+
+
+/**
+ * Add the cursor position to find criteria
+ * @param  {Object} criteria Mongoose criteria
+ * @param  {Object} paging   Result of parse
+ * @return {Object}          Mongoose criteria
+ */
+
+var criteria = function (criteria, paging) {
+  var position = seek(paging);
+
+  return position ? { $and: [criteria, position] } : criteria;
+};
+
+
+/**
+ * Apply sort, skip and limit to a query
+ * @param  {Query}  query  Mongoose query
+ * @param  {Object} paging Result of parse
+ * @return {Query}
+ */
+
+var apply = function (query, paging) {
+  if (paging.sort) { query.sort(paging.sort); }
+  if (paging.skip) { query.skip(paging.skip); }
+
+  // Fetch one extra document in cursor mode to know if there is another page
+  if (paging.limit) { query.limit(paging.cursor ? paging.limit + 1 : paging.limit); }
+
+  return query;
+};
+
+
+/**
+ * Remove the extra document fetched in cursor mode and restore sort order
+ * @param  {Array}  docs   Query results
+ * @param  {Object} paging Result of parse
+ * @return {Object}        Page documents and whether more documents follow
+ */
+
+var trim = function (docs, paging) {
+  var hasMore = false;
+
+  if (paging.cursor && paging.limit && docs.length > paging.limit) {
+    hasMore = true;
+    docs = docs.slice(0, paging.limit);
+  }
+
+  if (paging.before) { docs = docs.reverse(); }
+
+  return {
+    docs: docs,
+    hasMore: hasMore
+  };
+};
+
+
+/**
+ * Build a link to another page of the current request
+ * @param  {Object} req    Express request
+ * @param  {Object} params Paging params for the linked page
+ * @return {String}
+ */
+
+var _buildUrl = function (req, params) {
+  var url = (req.originalUrl || req.url).split('?'),
+    pairs = (url[1] || '').split('&').filter(function (pair) {
+      return pair && PARAMS.indexOf(unescape(pair.split('=')[0])) === -1;
+    });
+
+  _.each(params, function (value, key) {
+    if (value === undefined) { return; }
+    pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+  });
+
+  return url[0] + (pairs.length ? '?' + pairs.join('&') : '');
+};
+
+
+/**
+ * Build the urls of the pages around a page
+ * @param  {Object} req    Express request
+ * @param  {Object} paging Result of parse
+ * @param  {Number} total  Number of documents matching the criteria
+ * @param  {Object} page   Result of trim
+ * @return {Object}        Urls keyed by rel (first, next, prev)
+ */
+
+var urls = function (req, paging, total, page) {
+  var rels = {},
+    first = page.docs[0],
+    last = page.docs[page.docs.length - 1],
+    skip = paging.skip || 0;
+
+  if (paging.cursor) {
+    rels.first = { limit: paging.limit };
+
+    if (last && (paging.before || page.hasMore)) {
+      rels.next = { limit: paging.limit, after: encodeCursor(last, paging.path) };
+    }
+
+    if (first && (paging.after || (paging.before && page.hasMore))) {
+      rels.prev = { limit: paging.limit, before: encodeCursor(first, paging.path) };
+    }
+  } else if (paging.limit) {
+    rels.first = { limit: paging.limit, skip: 0 };
+
+    if (skip + paging.limit < total) {
+      rels.next = { limit: paging.limit, skip: skip + paging.limit };
+    }
+
+    if (skip > 0) {
+      rels.prev = { limit: paging.limit, skip: Math.max(0, skip - paging.limit) };
+    }
+  }
+
+  return _.mapValues(rels, function (params) {
+    return _buildUrl(req, params);
+  });
+};
+
+
+/**
+ * Build an RFC 5988 Link header for a page
+ * @param  {Object} req    Express request
+ * @param  {Object} paging Result of parse
+ * @param  {Number} total  Number of documents matching the criteria
+ * @param  {Object} page   Result of trim
+ * @return {String}        Header value, empty if there are no links
+ */
+
+var links = function (req, paging, total, page) {
+  return _.map(urls(req, paging, total, page), function (url, rel) {
+    return '<' + url + '>; rel="' + rel + '"';
+  }).join(', ');
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  parse: parse,
+  seek: seek,
+  criteria: criteria,
+  apply: apply,
+  trim: trim,
+  urls: urls,
+  links: links,
+  encodeCursor: encodeCursor,
+  decodeCursor: decodeCursor
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Applies JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396)
+  documents to plain objects.</p>
+  <p>Patches are applied to a copy of the document as the client sees it.
+  The route then compares the result with the original, path by path, so
+  only fields the client may edit are changed.</p>
+  <pre>
+  [{ "op": "add", "path": "/posts/-", "value": "5470c1a37df5b9ca1c1a2b4d" },
+   { "op": "remove", "path": "/token" }]
+
+  { "name": "Jane", "token": null }
+  </pre>
+ */
+
+
+/**
+ * Property names that would change an object's prototype
+ * @type {Array}
+ */
+
+var UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+
+/**
+ * Split a JSON pointer into reference tokens
+ * @param  {String} pointer JSON pointer, such as /name/first
+ * @return {Array}
+ */
+
+var _parsePointer = function (pointer) {
+  var tokens;
+
+  if (typeof pointer !== 'string' || pointer.charAt(0) !== '/') { throw errors.create(400, 'Invalid JSON pointer ' + pointer); }
+
+  tokens = pointer.slice(1).split('/').map(function (token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+
+  if (_.intersection(tokens, UNSAFE_KEYS).length) { throw errors.create(400, 'Invalid JSON pointer ' + pointer); }
+
+  return tokens;
+};
+
+
+/**
+ * Check whether a token is a valid index of an array
+ * @param  {Array}   array
+ * @param  {String}  token Reference token
+ * @param  {Boolean} end   Allow the index after the last element
+ * @return {Boolean}
+ */
+
+var _isIndex = function (array, token, end) {
+  return (/^(0|[1-9]\d*)$/).test(token) && parseInt(token, 10) < array.length + (end ? 1 : 0);
+};
+
+
+/**
+ * Find the container and key a pointer refers to
+ * @param  {Object} doc     Document being patched
+ * @param  {String} pointer JSON pointer
+ * @return {Object}         Parent object or array and the last token
+ */
+
+var _resolve = function (doc, pointer) {
+  var tokens = _parsePointer(pointer),
+    key = tokens.pop(),
+    parent = doc;
+
+  _.each(tokens, function (token) {
+    var exists = _.isArray(parent) ? _isIndex(parent, token) : _.isObject(parent) && _.has(parent, token);
+
+    if (!exists) { throw errors.create(400, 'Path ' + pointer + ' does not exist'); }
+    parent = parent[token];
+  });
+
+  if (!_.isObject(parent)) { throw errors.create(400, 'Path ' + pointer + ' does not exist'); }
+
+  return {
+    parent: parent,
+    key: key
+  };
+};
+
+
+/**
+ * Get the value a pointer refers to
+ * @param  {Object} doc     Document being patched
+ * @param  {String} pointer JSON pointer
+ * @return {Mixed}
+ */
+
+var _get = function (doc, pointer) {
+  var target = _resolve(doc, pointer),
+    exists = _.isArray(target.parent) ? _isIndex(target.parent, target.key) : _.has(target.parent, target.key);
+
+  if (!exists) { throw errors.create(400, 'Path ' + pointer + ' does not exist'); }
+
+  return target.parent[target.key];
+};
+
+
+/**
+ * Add a value, inserting into arrays
+ * @param {Object} doc     Document being patched
+ * @param {String} pointer JSON pointer
+ * @param {Mixed}  value
+ */
+
+var _add = function (doc, pointer, value) {
+  var target = _resolve(doc, pointer);
+
+  if (!_.isArray(target.parent)) {
+    target.parent[target.key] = value;
+    return;
+  }
+
+  if (target.key === '-') {
+    target.parent.push(value);
+    return;
+  }
+
+  if (!_isIndex(target.parent, target.key, true)) { throw errors.create(400, 'Path ' + pointer + ' does not exist'); }
+
+  target.parent.splice(parseInt(target.key, 10), 0, value);
+};
+
+
+/**
+ * Remove a value
+ * @param {Object} doc     Document being patched
+ * @param {String} pointer JSON pointer
+ * @return {Mixed}         Removed value
+ */
+
+var _remove = function (doc, pointer) {
+  var value = _get(doc, pointer),
+    target = _resolve(doc, pointer);
+
+  if (_.isArray(target.parent)) {
+    target.parent.splice(parseInt(target.key, 10), 1);
+  } else {
+    delete target.parent[target.key];
+  }
+
+  return value;
+};
+
+
+/**
+ * Apply a JSON Patch
+ * @param  {Object} doc   Plain object, left unchanged
+ * @param  {Array}  ops   Patch operations
+ * @return {Object}       Patched copy of doc
+ */
+
+var applyJsonPatch = function (doc, ops) {
+  var result = _.cloneDeep(doc);
+
+  if (!_.isArray(ops)) { throw errors.create(400, 'A JSON Patch must be an array of operations'); }
+
+  // Check every operation before applying any of them
+  _.each(ops, function (op) {
+    if (!_.isPlainObject(op)) { throw errors.create(400, 'Invalid patch operation'); }
+    _parsePointer(op.path);
+    if (['move', 'copy'].indexOf(op.op) !== -1) { _parsePointer(op.from); }
+    if (['add', 'replace', 'test'].indexOf(op.op) !== -1 && !_.has(op, 'value')) { throw errors.create(400, op.op + ' operations need a value'); }
+  });
+
+  _.each(ops, function (op) {
+    switch (op.op) {
+    case 'add':
+      _add(result, op.path, _.cloneDeep(op.value));
+      break;
+    case 'remove':
+      _remove(result, op.path);
+      break;
+    case 'replace':
+      _remove(result, op.path);
+      _add(result, op.path, _.cloneDeep(op.value));
+      break;
+    case 'move':
+      if (op.path.indexOf(op.from + '/') === 0) { throw errors.create(400, 'Cannot move ' + op.from + ' into itself'); }
+      _add(result, op.path, _remove(result, op.from));
+      break;
+    case 'copy':
+      _add(result, op.path, _.cloneDeep(_get(result, op.from)));
+      break;
+    case 'test':
+      if (!_.isEqual(_get(result, op.path), op.value)) { throw errors.create(409, 'Patch test failed for ' + op.path); }
+      break;
+    default:
+      throw errors.create(400, 'Unknown patch operation ' + op.op);
+    }
+  });
+
+  return result;
+};
+
+
+/**
+ * Apply a JSON Merge Patch. Null values remove fields.
+ * @param  {Object} doc   Plain object, left unchanged
+ * @param  {Object} patch Merge patch
+ * @return {Object}       Patched copy of doc
+ */
+
+var applyMergePatch = function (doc, patch) {
+  var result;
+
+  if (!_.isPlainObject(patch)) { return _.cloneDeep(patch); }
+
+  result = _.isPlainObject(doc) ? _.cloneDeep(doc) : {};
+
+  _.each(patch, function (value, key) {
+    if (UNSAFE_KEYS.indexOf(key) !== -1) { return; }
+
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  applyJsonPatch: applyJsonPatch,
+  applyMergePatch: applyMergePatch
+};
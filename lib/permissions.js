@@ -0,0 +1,70 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+  <p>Evaluates the <code>restSelected</code> and <code>restEditable</code>
+  field options.</p>
+  <p>Each option may be a boolean, a role or list of roles, or a function of
+  <code>(req, doc)</code>. <code>doc</code> is undefined when the document
+  is not known yet, for example when creating or when deciding which fields
+  a query may filter on.</p>
+  <pre>
+  token: { type: String, restSelected: ['admin'], restEditable: false },
+  email: { type: Types.Email, restEditable: function (req, doc) {
+    return req.user && (req.user.isAdmin || (doc && req.user.id === doc.id));
+  } }
+  </pre>
+ */
+
+
+/**
+ * Check whether a rule allows a request
+ * @param  {Mixed}    rule     Value of restSelected or restEditable
+ * @param  {Object}   req      Express request
+ * @param  {Document} doc      Document being read or written, if known
+ * @param  {Function} getRoles Returns the roles of the user making a request
+ * @return {Boolean}
+ */
+
+var allows = function (rule, req, doc, getRoles) {
+  if (rule === undefined || rule === null) { return true; }
+  if (typeof rule === 'function') { return !!rule(req, doc); }
+  if (typeof rule === 'string') { rule = [rule]; }
+  if (_.isArray(rule)) { return _.intersection(rule, getRoles(req)).length > 0; }
+
+  return rule !== false;
+};
+
+
+/**
+ * Check whether a rule depends on the document being read or written
+ * @param  {Mixed}   rule Value of restSelected or restEditable
+ * @return {Boolean}
+ */
+
+var dependsOnDoc = function (rule) {
+  return typeof rule === 'function';
+};
+
+
+/**
+ * Check whether a rule can give different answers for different requests
+ * @param  {Mixed}   rule Value of restSelected or restEditable
+ * @return {Boolean}
+ */
+
+var isConditional = function (rule) {
+  return typeof rule === 'function' || typeof rule === 'string' || _.isArray(rule);
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  allows: allows,
+  dependsOnDoc: dependsOnDoc,
+  isConditional: isConditional
+};
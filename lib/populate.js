@@ -0,0 +1,122 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Parses the <code>populate</code> query param into a tree of paths to
+  populate.</p>
+  <p>Paths are separated by commas and nested with dots. Each path can be
+  given its own <code>select</code>, <code>sort</code> and
+  <code>limit</code>.</p>
+  <pre>
+  ?populate=posts,posts.author
+  ?populate[posts][select]=title,author&populate[posts][limit]=5&populate[posts.author]=
+  </pre>
+ */
+
+
+/**
+ * Options a populated path accepts
+ * @type {Array}
+ */
+
+var OPTIONS = ['select', 'sort', 'limit'];
+
+
+/**
+ * Find or add the node of a path
+ * @param  {Array}  nodes  Nodes at the current level
+ * @param  {String} path   Path relative to the current level
+ * @return {Object}        Node
+ */
+
+var _getNode = function (nodes, path) {
+  var node = _.find(nodes, { path: path });
+
+  if (!node) {
+    node = { path: path, children: [] };
+    nodes.push(node);
+  }
+
+  return node;
+};
+
+
+/**
+ * Check and copy the options of a path
+ * @param  {Object} node    Node of the path
+ * @param  {Mixed}  options Options given in the query
+ */
+
+var _setOptions = function (node, options) {
+  if (!_.isPlainObject(options)) { return; }
+
+  _.each(options, function (value, key) {
+    if (OPTIONS.indexOf(key) === -1) { throw errors.create(400, 'Unknown populate option ' + key + ' for ' + node.path); }
+    if (typeof value !== 'string') { throw errors.create(400, 'Invalid populate ' + key + ' for ' + node.path); }
+  });
+
+  if (options.select) { node.select = options.select.split(','); }
+  if (options.sort) { node.sort = options.sort.split(','); }
+
+  if (options.limit !== undefined) {
+    if (!/^[1-9]\d*$/.test(options.limit)) { throw errors.create(400, 'populate limit must be greater than 0 for ' + node.path); }
+    node.limit = parseInt(options.limit, 10);
+  }
+};
+
+
+/**
+ * Parse the populate query param
+ * @param  {Mixed}  value    Value of the populate param
+ * @param  {Number} maxDepth Most levels a path may have
+ * @return {Array}           Nodes of { path, select, sort, limit, children }
+ */
+
+var parse = function (value, maxDepth) {
+  var nodes = [],
+    paths = {};
+
+  if (!value) { return nodes; }
+
+  if (typeof value === 'string') { value = value.split(','); }
+
+  if (_.isArray(value)) {
+    _.each(value, function (path) {
+      if (typeof path !== 'string') { throw errors.create(400, 'Invalid populate param'); }
+      _.each(path.split(','), function (path) { paths[path] = undefined; });
+    });
+  } else if (_.isPlainObject(value)) {
+    paths = value;
+  } else {
+    throw errors.create(400, 'Invalid populate param');
+  }
+
+  _.each(paths, function (options, path) {
+    var parts = path.split('.'),
+      level = nodes,
+      node;
+
+    if (!path || _.contains(parts, '')) { throw errors.create(400, 'Invalid populate path ' + path); }
+    if (parts.length > maxDepth) { throw errors.create(400, 'populate can be at most ' + maxDepth + ' levels deep'); }
+
+    _.each(parts, function (part) {
+      node = _getNode(level, part);
+      level = node.children;
+    });
+
+    _setOptions(node, options);
+  });
+
+  return nodes;
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  parse: parse
+};
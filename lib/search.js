@@ -0,0 +1,108 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors'),
+  escapeRegExp = require('./filters').escapeRegExp;
+
+/**
+  <p>Builds criteria for the <code>q</code> search param.</p>
+  <p>Lists with a MongoDB text index are searched with <code>$text</code>
+  and can be sorted by relevance. Other lists match the term
+  case-insensitively anywhere in their search fields.</p>
+  <pre>
+  ?q=keystone     { $text: { $search: 'keystone' } }
+                  { $or: [{ 'name.first': /keystone/i }, { 'name.last': /keystone/i }] }
+  </pre>
+ */
+
+
+/**
+ * Get the paths of a schema's text index
+ * @param  {Schema} schema Mongoose schema
+ * @return {Array}         Paths, empty if the schema has no text index
+ */
+
+var textIndexPaths = function (schema) {
+  var paths = [];
+
+  _.each(schema.indexes(), function (index) {
+    _.each(index[0], function (type, path) {
+      if (type === 'text') { paths.push(path); }
+    });
+  });
+
+  return paths;
+};
+
+
+/**
+ * Expand search fields to the string paths they are stored in, so that
+ * fields such as Types.Name search name.first and name.last
+ * @param  {Schema} schema Mongoose schema
+ * @param  {Array}  fields Field paths
+ * @return {Array}         String paths
+ */
+
+var stringPaths = function (schema, fields) {
+  var paths = [];
+
+  _.each(fields, function (field) {
+    _.each(schema.paths, function (schemaPath, path) {
+      if (schemaPath.instance !== 'String') { return; }
+      if (path === field || path.indexOf(field + '.') === 0) { paths.push(path); }
+    });
+  });
+
+  return _.uniq(paths);
+};
+
+
+/**
+ * Build search criteria
+ * @param  {String} term    Search term
+ * @param  {Schema} schema  Mongoose schema of the list being searched
+ * @param  {Array}  fields  Fields to search when the list has no text index
+ * @param  {Array}  allowed Paths the request may filter on
+ * @return {Object}         Mongoose criteria, and whether the text index is used
+ */
+
+var parse = function (term, schema, fields, allowed) {
+  var textPaths = textIndexPaths(schema),
+    paths;
+
+  if (typeof term !== 'string' || !term.trim()) { throw errors.create(400, 'q must be a search term'); }
+
+  // Only use the text index if it doesn't cover fields the request can't see
+  if (textPaths.length && !_.difference(textPaths, allowed).length) {
+    return {
+      criteria: { $text: { $search: term } },
+      text: true
+    };
+  }
+
+  paths = _.intersection(stringPaths(schema, fields), allowed);
+
+  if (!paths.length) { throw errors.create(400, 'This list can not be searched'); }
+
+  return {
+    criteria: {
+      $or: paths.map(function (path) {
+        var criteria = {};
+        criteria[path] = new RegExp(escapeRegExp(term.trim()), 'i');
+        return criteria;
+      })
+    },
+    text: false
+  };
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  parse: parse,
+  textIndexPaths: textIndexPaths,
+  stringPaths: stringPaths
+};
@@ -0,0 +1,333 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('./errors');
+
+/**
+  <p>Shapes list, show, create and update responses, and reads request
+  bodies sent in the same shape.</p>
+  <p>Each serializer has a <code>one</code> function building the body of
+  a document, a <code>many</code> function building the body of a page, and
+  a <code>parse</code> function turning a request body back into fields.
+  Serializers with a <code>type</code> send it as the content type, and
+  bodies of that type are read too.</p>
+  <p>They are called with plain documents, after fields are redacted and the
+  transform hook has run, and a context describing the resource:</p>
+  <pre>
+  {
+    resource: { type: 'users', href: '/api/users', key: '_id', refs: {
+      posts: { many: true, type: 'posts', href: '/api/posts', key: '_id', refs: {} }
+    } },
+    total: 42,
+    links: { self: '/api/users?limit=10', first: '/api/users?limit=10&skip=0', next: '/api/users?limit=10&skip=10' }
+  }
+  </pre>
+  <p><code>total</code> and <code>links</code> are only given to
+  <code>many</code>. Refs describe the relationships of the resource, those
+  that are populated describe their own.</p>
+ */
+
+
+/**
+ * Copy a document without some dotted paths
+ * @param  {Object} doc   Plain document
+ * @param  {Array}  paths Dotted paths to leave out
+ * @return {Object}
+ */
+
+var _without = function (doc, paths) {
+  var copy = _.clone(doc);
+
+  _.each(paths, function (path) {
+    var parts = path.split('.'),
+      last = parts.pop(),
+      parent = copy;
+
+    // Clone the objects on the way so the document keeps its values
+    _.each(parts, function (part) {
+      if (!_.isPlainObject(parent[part])) {
+        parent = undefined;
+        return false;
+      }
+
+      parent[part] = _.clone(parent[part]);
+      parent = parent[part];
+    });
+
+    if (parent) { delete parent[last]; }
+  });
+
+  return copy;
+};
+
+
+/**
+ * Get the _id of a reference, populated or not
+ * @param  {Mixed}  value Populated document or _id
+ * @return {String}
+ */
+
+var _idOf = function (value) {
+  return String(_.isPlainObject(value) ? value._id : value);
+};
+
+
+/**
+ * Build the url of a document
+ * @param  {Object} resource Resource description
+ * @param  {Mixed}  doc      Plain document, or the _id of one
+ * @return {String}          Url, undefined if the document's key isn't known
+ */
+
+var _href = function (resource, doc) {
+  var key;
+
+  if (_.isPlainObject(doc)) {
+    key = _.get(doc, resource.key);
+  } else if (resource.key === '_id') {
+    key = doc;
+  }
+
+  if (key === undefined || key === null) { return undefined; }
+
+  return resource.href + '/' + encodeURIComponent(String(key));
+};
+
+
+/**
+ * Build a JSON:API resource object, adding the documents it populates to included
+ * @param  {Object} doc      Plain document
+ * @param  {Object} resource Resource description
+ * @param  {Object} included Included resource objects so far, with a list and a map of keys seen
+ * @return {Object}
+ */
+
+var _resourceObject = function (doc, resource, included) {
+  var data = {
+      type: resource.type,
+      id: _idOf(doc),
+      attributes: _without(doc, ['_id', 'id'].concat(_.keys(resource.refs)))
+    },
+    relationships = {},
+    self = _href(resource, doc);
+
+  // Linkage of one reference, populated documents are included
+  var link = function (value, ref) {
+    var key = ref.type + ':' + _idOf(value);
+
+    if (_.isPlainObject(value) && !included.seen[key]) {
+      included.seen[key] = true;
+      included.list.push(_resourceObject(value, ref, included));
+    }
+
+    return { type: ref.type, id: _idOf(value) };
+  };
+
+  _.each(resource.refs, function (ref, path) {
+    var value = _.get(doc, path);
+
+    if (value === undefined) { return; }
+
+    if (value === null) {
+      relationships[path] = { data: ref.many ? [] : null };
+      return;
+    }
+
+    relationships[path] = {
+      data: _.isArray(value) ? value.map(function (item) { return link(item, ref); }) : link(value, ref)
+    };
+  });
+
+  if (!_.isEmpty(relationships)) { data.relationships = relationships; }
+  if (self) { data.links = { self: self }; }
+
+  return data;
+};
+
+
+/**
+ * Build a HAL resource. References stay as _ids, populated documents are
+ * embedded and references with a known url are linked.
+ * @param  {Object} doc      Plain document
+ * @param  {Object} resource Resource description
+ * @return {Object}
+ */
+
+var _halResource = function (doc, resource) {
+  var result = _.clone(doc),
+    links = {},
+    embedded = {},
+    self = _href(resource, doc);
+
+  if (self) { links.self = { href: self }; }
+
+  _.each(resource.refs, function (ref, path) {
+    var value = _.get(doc, path),
+      values = [].concat(value),
+      hrefs;
+
+    if (value === undefined || value === null) { return; }
+
+    if (values.length && _.every(values, _.isPlainObject)) {
+      embedded[path] = _.isArray(value) ? value.map(function (item) { return _halResource(item, ref); }) : _halResource(value, ref);
+      result = _without(result, [path]);
+      _.set(result, path, _.isArray(value) ? value.map(_idOf) : _idOf(value));
+      return;
+    }
+
+    hrefs = _.compact(values.map(function (item) { return _href(ref, item); }));
+    if (hrefs.length) {
+      links[path] = _.isArray(value) ? hrefs.map(function (href) { return { href: href }; }) : { href: hrefs[0] };
+    }
+  });
+
+  if (!_.isEmpty(links)) { result._links = links; }
+  if (!_.isEmpty(embedded)) { result._embedded = embedded; }
+
+  return result;
+};
+
+
+/**
+ * Turn page links into HAL links
+ * @param  {Object} links Urls keyed by rel
+ * @return {Object}
+ */
+
+var _halLinks = function (links) {
+  return _.mapValues(_.pick(links, _.identity), function (href) {
+    return { href: href };
+  });
+};
+
+
+/**
+ * Serializers keyed by name
+ * @type {Object}
+ */
+
+var SERIALIZERS = {
+
+  // Bare documents and arrays, paging is in the total and Link headers
+  raw: {
+    one: function (doc) {
+      return doc;
+    },
+    many: function (docs) {
+      return docs;
+    },
+    parse: function (body) {
+      return body;
+    }
+  },
+
+  // { data, meta, links }
+  envelope: {
+    one: function (doc, context) {
+      var self = _href(context.resource, doc),
+        body = { data: doc };
+
+      if (self) { body.links = { self: self }; }
+
+      return body;
+    },
+    many: function (docs, context) {
+      return { data: docs, meta: { total: context.total }, links: _.pick(context.links, _.identity) };
+    },
+    parse: function (body) {
+      if (!_.isPlainObject(body) || !_.isPlainObject(body.data)) { throw errors.create(400, 'Expected the fields in a data object'); }
+      return body.data;
+    }
+  },
+
+  // JSON:API documents, see http://jsonapi.org/format/
+  jsonapi: {
+    type: 'application/vnd.api+json',
+    one: function (doc, context) {
+      var included = { list: [], seen: {} },
+        body = { data: _resourceObject(doc, context.resource, included) };
+
+      if (included.list.length) { body.included = included.list; }
+
+      return body;
+    },
+    many: function (docs, context) {
+      var included = { list: [], seen: {} },
+        body = {
+          data: docs.map(function (doc) {
+            return _resourceObject(doc, context.resource, included);
+          })
+        };
+
+      if (included.list.length) { body.included = included.list; }
+      body.meta = { total: context.total };
+      body.links = _.pick(context.links, _.identity);
+
+      return body;
+    },
+    parse: function (body, context) {
+      var data = _.isPlainObject(body) ? body.data : undefined,
+        fields;
+
+      if (!_.isPlainObject(data)) { throw errors.create(400, 'Expected a JSON:API document with a data object'); }
+      if (data.type !== context.resource.type) { throw errors.create(409, 'Expected a resource of type ' + context.resource.type + ', found ' + data.type); }
+      if (data.attributes !== undefined && !_.isPlainObject(data.attributes)) { throw errors.create(400, 'Expected attributes to be an object'); }
+      if (data.relationships !== undefined && !_.isPlainObject(data.relationships)) { throw errors.create(400, 'Expected relationships to be an object'); }
+
+      fields = _.clone(data.attributes || {});
+
+      _.each(data.relationships, function (relationship, path) {
+        var ref = context.resource.refs[path],
+          linkage = _.isPlainObject(relationship) ? relationship.data : undefined;
+
+        // Linkage of one reference, checked against the type of the relationship
+        var id = function (identifier) {
+          if (!_.isPlainObject(identifier) || identifier.id === undefined) { throw errors.create(400, 'Expected resource identifiers in ' + path); }
+          if (identifier.type !== ref.type) { throw errors.create(409, 'Expected ' + path + ' of type ' + ref.type + ', found ' + identifier.type); }
+          return String(identifier.id);
+        };
+
+        if (!ref) { throw errors.create(400, 'Unknown relationship ' + path); }
+        if (linkage === undefined) { throw errors.create(400, 'Expected data in relationship ' + path); }
+
+        if (linkage === null) {
+          fields[path] = null;
+          return;
+        }
+
+        fields[path] = _.isArray(linkage) ? linkage.map(id) : id(linkage);
+      });
+
+      return fields;
+    }
+  },
+
+  // HAL documents, see https://tools.ietf.org/html/draft-kelly-json-hal
+  hal: {
+    type: 'application/hal+json',
+    one: function (doc, context) {
+      return _halResource(doc, context.resource);
+    },
+    many: function (docs, context) {
+      var body = { _links: _halLinks(context.links), _embedded: {}, total: context.total };
+
+      body._embedded[context.resource.type] = docs.map(function (doc) {
+        return _halResource(doc, context.resource);
+      });
+
+      return body;
+    },
+    parse: function (body) {
+      return _.isPlainObject(body) ? _.omit(body, '_links', '_embedded') : body;
+    }
+  }
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  SERIALIZERS: SERIALIZERS
+};
@@ -0,0 +1,264 @@
+'use strict';
+
+var _ = require('lodash'),
+  fs = require('fs'),
+  path = require('path'),
+  multer = require('multer'),
+  errors = require('./errors');
+
+/**
+  <p>Stores files sent as <code>multipart/form-data</code> in Keystone
+  <code>LocalFile</code> fields, and removes the files documents no longer
+  use.</p>
+  <p>Multipart bodies are parsed by Keystone's multer middleware: text parts
+  end up in <code>req.body</code> and file parts in <code>req.files</code>,
+  keyed by part name. A file part named after a file field is checked against
+  the field's <code>allowedTypes</code> and <code>restMaxSize</code> (bytes)
+  options, then moved to the field's <code>dest</code> by the field itself.
+  Multipart bodies no parser has read yet are read here, with multer limits
+  built from the fields so larger files are cut off before they fill the
+  disk.</p>
+  <p>File details can only be set by uploads, other bodies may only clear
+  them, and only files inside the field's <code>dest</code> are ever served
+  or deleted.</p>
+  <pre>
+  avatar: { type: Types.LocalFile, dest: 'uploads', allowedTypes: ['image/png'], restMaxSize: 1048576 }
+
+  curl -F name=Dan -F avatar=@me.png http://localhost:3000/api/users
+  </pre>
+ */
+
+
+/**
+ * Keystone field types stored on the local disk
+ * @type {Array}
+ */
+
+var TYPES = ['localfile'];
+
+
+/**
+ * Check whether a request has a multipart body
+ * @param  {Object}  req Express request
+ * @return {Boolean}
+ */
+
+var isMultipart = function (req) {
+  return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+};
+
+
+/**
+ * Get the file fields of a list
+ * @param  {Object} fields Keystone fields of the list, keyed by path
+ * @return {Array}         Keystone fields
+ */
+
+var fileFields = function (fields) {
+  return _.filter(fields, function (field) {
+    return TYPES.indexOf(field.type) !== -1;
+  });
+};
+
+
+/**
+ * Check whether a path is a file field or one of its details
+ * @param  {Array}   fields Keystone file fields
+ * @param  {String}  name   Dotted path
+ * @return {Boolean}
+ */
+
+var isFilePath = function (fields, name) {
+  return _.some(fields, function (field) {
+    return name === field.path || name.indexOf(field.path + '.') === 0;
+  });
+};
+
+
+/**
+ * Remove file details from a body, they are only set by uploads. Null is
+ * kept so files can be cleared.
+ * @param  {Array}  fields Keystone file fields
+ * @param  {Object} body   Request body
+ * @return {Object}        body
+ */
+
+var strip = function (fields, body) {
+  _.each(_.keys(body), function (key) {
+    if (isFilePath(fields, key) && body[key] !== null) { delete body[key]; }
+  });
+
+  return body;
+};
+
+
+/**
+ * Create multer middleware reading multipart bodies with the limits of the
+ * file fields. Files over the largest restMaxSize are cut off and marked
+ * truncated, and there may only be one file for each field.
+ * @param  {Array}    fields Keystone file fields
+ * @return {Function}        Express middleware
+ */
+
+var parser = function (fields) {
+  var sizes = _.map(fields, function (field) { return field.options.restMaxSize; });
+
+  return multer({
+    includeEmptyFields: true,
+    limits: {
+      files: fields.length,
+      fileSize: fields.length && _.every(sizes) ? _.max(sizes) : undefined
+    }
+  });
+};
+
+
+/**
+ * Check an uploaded file against the limits of its field
+ * @param  {Field}  field Keystone file field
+ * @param  {Object} file  File parsed by multer
+ * @return {Error}        Error from lib/errors, undefined if the file is allowed
+ */
+
+var _check = function (field, file) {
+  var maxSize = field.options.restMaxSize,
+    allowedTypes = field.options.allowedTypes;
+
+  if (file.truncated || (maxSize && file.size > maxSize)) { return errors.create(413, 'File is too large for ' + field.path); }
+  if (allowedTypes && allowedTypes.indexOf(file.mimetype) === -1) { return errors.create(415, 'Files of type ' + file.mimetype + ' are not allowed for ' + field.path); }
+};
+
+
+/**
+ * Move uploaded files to their fields, setting the file details on the document
+ * @param {Array}    fields   Keystone file fields that may be uploaded to
+ * @param {Document} item     Document being created or updated
+ * @param {Object}   files    req.files, as parsed by multer
+ * @param {Function} callback Called once every file is stored or on the first error
+ */
+
+var store = function (fields, item, files, callback) {
+  var uploads = [],
+    index = 0,
+    err;
+
+  var next = function (err) {
+    var upload = uploads[index];
+
+    if (err || !upload) { return callback(err); }
+
+    index += 1;
+    upload.field.uploadFile(item, upload.file, true, function (err, stored) {
+      // The file is the field's now, it must outlive the request
+      if (!err) {
+        upload.file.moved = true;
+        upload.file.stored = path.resolve(stored.path, stored.filename);
+      }
+      next(err);
+    });
+  };
+
+  _.each(fields, function (field) {
+    var file = files[field.path];
+
+    if (_.isArray(file)) { file = file[0]; }
+    if (file) { uploads.push({ field: field, file: file }); }
+  });
+
+  // Check every file before moving any of them
+  err = _.reduce(uploads, function (found, upload) {
+    return found || _check(upload.field, upload.file);
+  }, undefined);
+
+  if (err) { return callback(err); }
+
+  next();
+};
+
+
+/**
+ * Get the files stored in a document. Files outside the dest of their field
+ * are left out, whatever the document says.
+ * @param  {Array}  fields Keystone file fields of the list
+ * @param  {Object} doc    Plain document, may be null
+ * @return {Array}         Absolute file names
+ */
+
+var stored = function (fields, doc) {
+  return _.compact(_.map(fields, function (field) {
+    var value = doc ? _.get(doc, field.path) : undefined,
+      file,
+      relative;
+
+    if (!value || !value.filename || !value.path || !field.options.dest) { return undefined; }
+
+    file = path.resolve(String(value.path), String(value.filename));
+    relative = path.relative(path.resolve(field.options.dest), file);
+
+    if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) { return undefined; }
+
+    return file;
+  }));
+};
+
+
+/**
+ * Delete files, ignoring those already gone. Failures are not reported,
+ * the change that left the files unused has already been saved.
+ * @param {Array}    files    Absolute file names
+ * @param {Function} callback Called once every file is deleted
+ */
+
+var remove = function (files, callback) {
+  var pending = files.length;
+
+  if (!pending) { return callback(); }
+
+  _.each(files, function (file) {
+    fs.unlink(file, function () {
+      pending -= 1;
+      if (!pending) { callback(); }
+    });
+  });
+};
+
+
+/**
+ * Delete the temporary files multer left for a request, leaving those moved to a field
+ * @param {Object}   files    req.files, as parsed by multer
+ * @param {Function} callback Called once every file is deleted
+ */
+
+var discard = function (files, callback) {
+  remove(_.compact(_.pluck(_.reject(_.flatten(_.values(files)), 'moved'), 'path')), callback);
+};
+
+
+/**
+ * Delete the files store moved to their fields for a request, when the
+ * change they were stored for fails and no document points to them
+ * @param {Object}   files    req.files, as parsed by multer
+ * @param {Function} callback Called once every file is deleted
+ */
+
+var unstore = function (files, callback) {
+  remove(_.compact(_.pluck(_.filter(_.flatten(_.values(files)), 'moved'), 'stored')), callback);
+};
+
+
+/*
+** Exports
+*/
+
+module.exports = {
+  isMultipart: isMultipart,
+  fileFields: fileFields,
+  isFilePath: isFilePath,
+  strip: strip,
+  parser: parser,
+  store: store,
+  stored: stored,
+  remove: remove,
+  discard: discard,
+  unstore: unstore
+};
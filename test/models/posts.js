@@ -8,9 +8,14 @@ var Post = new keystone.List('Post', {
 Post.add({
   title: { type: Types.Text, required: true, initial: true },
   body: { type: Types.Text, required: true, initial: true },
-  hidden: { type: Types.Text, required: true, initial: true, restSelected: false }
+  hidden: { type: Types.Text, required: true, initial: true, restSelected: false },
+  deletedAt: { type: Types.Datetime, noedit: true, restEditable: false },
+  deletedBy: { type: Types.Relationship, ref: 'User', noedit: true, restEditable: false }
 });
 
+// Search posts with a text index
+Post.schema.index({ title: 'text', body: 'text' });
+
 // Register Post
 Post.register();
 
@@ -1,4 +1,6 @@
 var keystone = require('keystone'),
+  os = require('os'),
+  path = require('path'),
   Types = keystone.Field.Types;
 
 var User = new keystone.List('User');
@@ -7,7 +9,13 @@ User.add({
   name: { type: Types.Text, required: true, initial: true },
   token: { type: Types.Text, restEditable: false },
   password: { type: Types.Password, required: true, initial: true, restSelected: false },
-  posts: { type: Types.Relationship, ref: 'Post', many: true }
+  secret: { type: Types.Text, restSelected: ['admin'], restEditable: ['admin'] },
+  posts: { type: Types.Relationship, ref: 'Post', many: true },
+  friends: { type: Types.Relationship, ref: 'User', many: true, restSelected: ['admin'] },
+  fullName: { type: Types.Name },
+  balance: { type: Types.Money, min: 0 },
+  pin: { type: Types.Password },
+  avatar: { type: Types.LocalFile, dest: path.join(os.tmpdir(), 'keystone-rest-avatars'), allowedTypes: ['text/plain'], restMaxSize: 1024 }
 });
 
 
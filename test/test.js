@@ -4,7 +4,7 @@
 ** Implements the keystone-rest module test.
 */
 
-/*global describe, it, beforeEach, afterEach */
+/*global describe, it, beforeEach, afterEach, Promise */
 
 'use strict';
 
@@ -14,8 +14,14 @@
 
 var assert       = require('assert');
 var request      = require('supertest');
+var http         = require('http');
+var fs           = require('fs');
+var path         = require('path');
 var keystone     = require('keystone');
 var keystoneRest = require('../index');
+var errors       = require('../lib/errors');
+var internalRest;
+var documentRest;
 var app;
 var mongoose;
 var Post;
@@ -50,7 +56,7 @@ var setupDb = function (done) {
     var post = new Post.model({ title: 'Test Post', hidden: 'xxxxxxxx', body: 'Test post body.'});
     post.save(function (err, post) {
       /*jslint unparam: true */
-      var user = new User.model({ name: name, password: 'xxxxxxxx', token: 'xxxxxxxx', posts: [post._id] });
+      var user = new User.model({ name: name, password: 'xxxxxxxx', token: 'xxxxxxxx', secret: 'xxxxxxxx', posts: [post._id] });
       user.save(function (err, doc) {
         self.user = doc;
         cb();
@@ -69,20 +75,95 @@ var setupDb = function (done) {
 var cleanupDb = function () {
   mongoose.connection.collections.users.drop();
   mongoose.connection.collections.posts.drop();
+  mongoose.connection.collections.keystone_rest_revisions.drop();
   this.user = undefined;
 };
 
+// Take roles from a header instead of a logged in user
+keystoneRest.getRoles = function (req) {
+  return req.headers.role ? [req.headers.role] : [];
+};
+
 // Add user api endpoints
-keystoneRest.addRoutes(User, 'list show create update delete', {
+keystoneRest.addRoutes(User, 'list show create update delete bulk aggregate', {
   list: [function (req, res, next) { /*jslint unparam: true */ res.header('list middleware', 'executed'); next(); }],
   show: [function (req, res, next) { /*jslint unparam: true */ res.header('show middleware', 'executed'); next(); }],
   create: [function (req, res, next) { /*jslint unparam: true */ res.header('create middleware', 'executed'); next(); }],
   update: [function (req, res, next) { /*jslint unparam: true */ res.header('update middleware', 'executed'); next(); }],
   delete: [function (req, res, next) { /*jslint unparam: true */ res.header('delete middleware', 'executed'); next(); }]
-}, 'posts');
+}, 'posts friends', {
+  history: true,
+  events: true,
+  atomic: 'balance posts token',
+  hooks: {
+    show: {
+      beforeQuery: function (req, query) {
+        if (req.headers.only) { query.where('name', req.headers.only); }
+      }
+    },
+    update: {
+      beforeSave: function (req, doc) {
+        if (req.headers.stamp) { doc.token = req.headers.stamp; }
+      }
+    }
+  }
+});
 
 // Add post api endpoints
-keystoneRest.addRoutes(Post, 'show', {}, null);
+keystoneRest.addRoutes(Post, 'list show create', {
+  create: [function (req, res, next) { /*jslint unparam: true */ res.header('post create middleware', 'executed'); next(); }]
+}, null, { cursor: true, defaultLimit: 1 });
+
+// Add users under another prefix and resource name
+keystoneRest.addRoutes(User, 'list show', {}, null, { prefix: '/v2', resource: 'members', stream: true, streamLimit: 10 });
+
+// Add posts answering with an envelope
+keystoneRest.addRoutes(Post, 'list', {}, null, { prefix: '/v2', serializer: 'envelope', defaultLimit: 1 });
+
+// Add a separate instance with its own prefix and middleware
+internalRest = new keystoneRest.KeystoneRest({
+  prefix: '/internal',
+  getRoles: keystoneRest.getRoles,
+  middleware: [function (req, res, next) { /*jslint unparam: true */ res.header('internal middleware', 'executed'); next(); }]
+});
+internalRest.addRoutes(User, 'list show', {}, 'posts');
+internalRest.addRoutes(Post, 'list show delete', {}, null, {
+  softDelete: true,
+  hooks: {
+    list: {
+      beforeQuery: function (req, query) {
+        if (req.headers.only) { query.where('slug', req.headers.only); }
+      }
+    },
+    show: {
+      transform: function (req, doc, done) {
+        doc.excerpt = doc.body.slice(0, 4);
+        done();
+      }
+    },
+    delete: {
+      beforeQuery: function (req, query) {
+        if (req.headers.only) { query.where('slug', req.headers.only); }
+      },
+      beforeSave: function (req) {
+        return req.headers.locked ? Promise.reject(errors.create(403, 'Post is locked')) : Promise.resolve();
+      }
+    }
+  }
+});
+
+// Add an instance answering with JSON:API documents, posts with HAL
+documentRest = new keystoneRest.KeystoneRest({
+  prefix: '/documents',
+  serializer: 'jsonapi',
+  getRoles: keystoneRest.getRoles
+});
+documentRest.addRoutes(User, 'list show create update bulk', {}, 'posts', { atomic: 'balance' });
+documentRest.addRoutes(Post, 'list show', {}, null, { serializer: 'hal' });
+
+// Describe the api
+keystoneRest.addOpenApiRoute();
+keystoneRest.addBatchRoute([], { limit: 3 });
 
 // Start server
 keystone.start();
@@ -90,303 +171,400 @@ keystone.start();
 // Register rest api routes with app
 keystoneRest.registerRoutes(keystone.app);
 
+// Mount the same routes on a router
+keystone.app.use('/mounted', keystoneRest.registerRoutes());
+
+internalRest.registerRoutes(keystone.app);
+documentRest.registerRoutes(keystone.app);
+
 /**
  * Integration tests
  */
 
-// Test list
-describe('GET /api/users', function () {
+// Test prefixes
+describe('GET /v2/members', function () {
   this.timeout(5000);
 
   // Set up database
   beforeEach(setupDb);
   afterEach(cleanupDb);
 
-  it('Contains one user object', function (done) {
+  it('Serves lists under their prefix and resource name', function (done) {
     request(keystone.app)
-      .get('/api/users')
+      .get('/v2/members/' + this.user._id)
       .expect(function (res) {
-        if (res.body.length !== 2) { return 'Incorrect response object length'; }
+        if (res.body.name !== 'Test User 2') { return 'Could not find user'; }
       })
       .end(done);
   });
 
-  it('Has a name property', function (done) {
+  it('Streams lists', function (done) {
     request(keystone.app)
-      .get('/api/users')
+      .get('/v2/members?limit=1&populate=posts')
+      .expect(200)
+      .expect('Link', /rel="next"/)
+      .expect('Vary', /Accept, Authorization, Cookie/)
       .expect(function (res) {
-        if (res.body[0].name !== 'Test User 1') { return 'Incorrect response object name'; }
+        if (res.body.length !== 1) { return 'Streamed list should hold one user'; }
+        if (!res.body[0].posts[0].title || res.body[0].posts[0].hidden) { return 'Streamed users should have populated posts'; }
       })
       .end(done);
   });
 
-  it('Does not show hidden field', function (done) {
+  it('Does not stream CSV', function (done) {
     request(keystone.app)
-      .get('/api/users')
+      .get('/v2/members?format=csv')
+      .expect(200)
+      .expect('ETag', /./)
       .expect(function (res) {
-        if (res.body[0].password) { return 'Response should not contain password'; }
+        if (res.text.trim().split('\r\n').length !== 3) { return 'CSV should have a row for each user'; }
       })
       .end(done);
   });
 
-  it('Has a populated field', function (done) {
+  it('Serves routes from a router', function (done) {
     request(keystone.app)
-      .get('/api/users?populate=posts')
+      .get('/mounted/v2/members')
       .expect(function (res) {
-        if (!res.body[0].posts[0].title) { return 'User does not have a populated post'; }
+        if (res.body.length !== 2) { return 'Could not list users'; }
       })
       .end(done);
   });
+});
 
-  it('Does not show hidden field on populated relationship', function (done) {
+// Test instances
+describe('KeystoneRest instances', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Run their own middleware', function (done) {
     request(keystone.app)
-      .get('/api/users?populate=posts')
+      .get('/internal/users/' + this.user._id)
       .expect(function (res) {
-        if (res.body[0].posts[0].hidden) { return 'Relationship should not contain \'hidden\' field'; }
+        if (res.headers['internal middleware'] !== 'executed') { return 'Instance middleware was not executed'; }
       })
       .end(done);
   });
 
-  it('Can be queried', function (done) {
+  it('Run their own middleware on relationship routes', function (done) {
     request(keystone.app)
-      .get('/api/users?name=Test%20User%201')
+      .get('/internal/users/' + this.user._id + '/posts')
+      .expect(200)
       .expect(function (res) {
-        if (res.body[0].name !== 'Test User 1' || res.body.length > 1) { return 'Incorrect response object name or response too long'; }
+        if (res.headers['internal middleware'] !== 'executed') { return 'Instance middleware was not executed'; }
       })
       .end(done);
   });
 
-  it('Executes middleware', function (done) {
-    request(keystone.app)
-      .get('/api/users')
-      .expect(function (res) {
-        if (res.headers['list middleware'] !== 'executed') { return 'List middleware was not executed'; }
-      })
-      .end(done);
+  it('Keep their own routes', function () {
+    assert.equal(internalRest.routes.length, 4);
+    assert.ok(!keystoneRest.routes.some(function (route) { return route.route.indexOf('/internal') === 0; }));
   });
 });
 
-// Test show
-describe('GET /api/users/:_id', function () {
+// Test list
+describe('GET /api/users', function () {
   this.timeout(5000);
 
   // Set up database
   beforeEach(setupDb);
   afterEach(cleanupDb);
 
-  it('Responds with 404 if no document is found', function (done) {
+  it('Contains one user object', function (done) {
     request(keystone.app)
-      .get('/api/users/0')
-      .expect(404, done);
+      .get('/api/users')
+      .expect(function (res) {
+        if (res.body.length !== 2) { return 'Incorrect response object length'; }
+      })
+      .end(done);
   });
 
-  it('Contains one user object', function (done) {
+  it('Has a name property', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id)
+      .get('/api/users')
       .expect(function (res) {
-        if (res.body.name !== 'Test User 2') { return 'Could not find user'; }
+        if (res.body[0].name !== 'Test User 1') { return 'Incorrect response object name'; }
       })
       .end(done);
   });
 
   it('Does not show hidden field', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id)
+      .get('/api/users')
       .expect(function (res) {
-        if (res.body.password) { return 'Response should not contain password'; }
+        if (res.body[0].password) { return 'Response should not contain password'; }
       })
       .end(done);
   });
 
   it('Has a populated field', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id + '?populate=posts')
+      .get('/api/users?populate=posts')
       .expect(function (res) {
-        if (!res.body.posts[0].title) { return 'User does not have a populated post'; }
+        if (!res.body[0].posts[0].title) { return 'User does not have a populated post'; }
       })
       .end(done);
   });
 
   it('Does not show hidden field on populated relationship', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id + '?populate=posts')
+      .get('/api/users?populate=posts')
       .expect(function (res) {
-        if (res.body.posts[0].hidden) { return 'Relationship should not contain \'hidden\' field'; }
+        if (res.body[0].posts[0].hidden) { return 'Relationship should not contain \'hidden\' field'; }
       })
       .end(done);
   });
 
-  it('Executes middleware', function (done) {
+  it('Selects fields of populated documents', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id)
+      .get('/api/users?populate[posts][select]=title')
       .expect(function (res) {
-        if (res.headers['show middleware'] !== 'executed') { return 'Show middleware was not executed'; }
+        if (!res.body[0].posts[0].title) { return 'Post title should be selected'; }
+        if (res.body[0].posts[0].body) { return 'Post body should not be selected'; }
       })
       .end(done);
   });
-});
 
-// Test relationship
-describe('GET api/users/:_id/posts', function () {
-  this.timeout(5000);
+  it('Responds with 400 when populating a field that is not a relationship', function (done) {
+    request(keystone.app)
+      .get('/api/users?populate=name')
+      .expect(400, done);
+  });
 
-  // Set up database
-  beforeEach(setupDb);
-  afterEach(cleanupDb);
+  it('Responds with 400 when populating too deep', function (done) {
+    request(keystone.app)
+      .get('/api/users?populate=posts.author.posts')
+      .expect(400, done);
+  });
 
-  it('Contains a list of user posts', function (done) {
+  it('Responds with 400 when sorting populated documents on a hidden field', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id + '/posts')
+      .get('/api/users?populate[posts][sort]=hidden')
+      .expect(400, done);
+  });
+
+  it('Can be queried', function (done) {
+    request(keystone.app)
+      .get('/api/users?name=Test%20User%201')
       .expect(function (res) {
-        if (res.body[0].title !== 'Test Post') { return 'Could not list user\'s posts'; }
+        if (res.body[0].name !== 'Test User 1' || res.body.length > 1) { return 'Incorrect response object name or response too long'; }
       })
       .end(done);
   });
 
-  it('Selects fields on user\'s posts', function (done) {
+  it('Can be filtered with operators', function (done) {
     request(keystone.app)
-      .get('/api/users/' + this.user._id + '/posts?select=title')
+      .get('/api/users?name[prefix]=test%20user%202')
       .expect(function (res) {
-        if (res.body[0].body) { return 'Fields that were not supposed to be selected were present'; }
+        if (res.body.length !== 1 || res.body[0].name !== 'Test User 2') { return 'Prefix filter did not match one user'; }
       })
       .end(done);
   });
-});
-
-// Test show
-describe('GET api/posts/:slug', function () {
-  this.timeout(5000);
-
-  // Set up database
-  beforeEach(setupDb);
-  afterEach(cleanupDb);
 
-  it('Can be found by field other than _id', function (done) {
+  it('Can be filtered with grouped conditions', function (done) {
     request(keystone.app)
-      .get('/api/posts/test-post')
+      .get('/api/users?or[0][name]=Test%20User%201&or[1][name][ne]=Test%20User%201')
       .expect(function (res) {
-        if (res.body.title !== 'Test Post') { return 'Could not find post'; }
+        if (res.body.length !== 2) { return 'Or filter did not match both users'; }
       })
       .end(done);
   });
 
-});
-
-// Test create
-describe('POST /api/users', function () {
-  this.timeout(5000);
-
-  // Clean up after testing post
-  afterEach(cleanupDb);
-
-  it('Creates a new user', function (done) {
+  it('Can be searched', function (done) {
     request(keystone.app)
-      .post('/api/users')
-      .send({ name: 'Test User 1', password: 'xxxxxxxx' })
+      .get('/api/users?q=user%201')
       .expect(function (res) {
-        if (res.body.name !== 'Test User 1') { return 'User was not created'; }
+        if (res.body.length !== 1 || res.body[0].name !== 'Test User 1') { return 'Search did not find the user'; }
       })
       .end(done);
   });
 
-  it('Does not show hidden field', function (done) {
+  it('Escapes search terms', function (done) {
     request(keystone.app)
-      .post('/api/users')
-      .send({ name: 'Test User 1', password: 'xxxxxxxx' })
+      .get('/api/users?q=.*')
       .expect(function (res) {
-        if (res.body.password) { return 'Response should not contain password'; }
+        if (res.body.length !== 0) { return 'Search term should not be a regular expression'; }
       })
       .end(done);
   });
 
-  it('Executes middleware', function (done) {
+  it('Can be written as CSV', function (done) {
     request(keystone.app)
-      .post('/api/users')
-      .send({ name: 'Test User 1', password: 'xxxxxxxx' })
+      .get('/api/users?select=name,password')
+      .set('Accept', 'text/csv')
+      .expect('Content-Type', /text\/csv/)
       .expect(function (res) {
-        if (res.headers['create middleware'] !== 'executed') { return 'Create middleware was not executed'; }
+        var lines = res.text.trim().split('\r\n'),
+          columns = lines[0].split(',');
+
+        if (columns.indexOf('name') === -1 || columns.indexOf('password') !== -1) { return 'Unexpected CSV columns ' + lines[0]; }
+        if (lines.length !== 3) { return 'CSV should have a row for each user'; }
       })
       .end(done);
   });
-});
 
-// Test update
-describe('PUT /api/users/:_id', function () {
-  this.timeout(5000);
+  it('Keeps CSV cells from being read as formulas', function (done) {
+    User.model.update({ _id: this.user._id }, { $set: { name: '=HYPERLINK("http://example.com")' } }, function (err) {
+      if (err) { return done(err); }
 
-  // Set up database
-  beforeEach(setupDb);
-  afterEach(cleanupDb);
+      request(keystone.app)
+        .get('/api/users?format=csv&select=name')
+        .expect(function (res) {
+          if (res.text.indexOf('"\'=HYPERLINK(""http://example.com"")"') === -1) { return 'Formula was not escaped ' + res.text; }
+        })
+        .end(done);
+    });
+  });
 
-  it('Responds with 404 if no document is found', function (done) {
+  it('Leaves negative numbers as numbers in CSV', function (done) {
+    User.model.update({ _id: this.user._id }, { $set: { balance: -12.5 } }, function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/api/users?format=csv&select=balance')
+        .expect(function (res) {
+          if (res.text.indexOf('-12.5') === -1 || res.text.indexOf('\'-12.5') !== -1) { return 'Number was escaped ' + res.text; }
+        })
+        .end(done);
+    });
+  });
+
+  it('Can be written as NDJSON', function (done) {
     request(keystone.app)
-      .put('/api/users/0')
-      .send({ name: 'Test User Updated'})
-      .expect(404, done);
+      .get('/api/users?format=ndjson')
+      .expect('Content-Type', /application\/x-ndjson/)
+      .expect(function (res) {
+        var lines = res.text.trim().split('\n');
+
+        if (lines.length !== 2 || !JSON.parse(lines[0]).name) { return 'NDJSON should have a line for each user'; }
+      })
+      .end(done);
   });
 
-  it('Updates an existing user', function (done) {
+  it('Reports the filtered total', function (done) {
     request(keystone.app)
-      .put('/api/users/' + this.user._id)
-      .send({ name: 'Test User Updated'})
+      .get('/api/users?name=Test%20User%201')
       .expect(function (res) {
-        if (res.body.name !== 'Test User Updated') { return 'User was not updated'; }
+        if (res.headers.total !== '1') { return 'Total header does not match filtered count'; }
       })
       .end(done);
   });
 
-  it('Does not show hidden field', function (done) {
+  it('Links to the next page', function (done) {
     request(keystone.app)
-      .put('/api/users/' + this.user._id)
-      .send({ name: 'Test User Updated'})
+      .get('/api/users?limit=1')
       .expect(function (res) {
-        if (res.body.password) { return 'Response should not contain password'; }
+        if (res.body.length !== 1) { return 'Limit was not applied'; }
+        if (res.headers.link.indexOf('</api/users?limit=1&skip=1>; rel="next"') === -1) { return 'Link header does not contain next page'; }
       })
       .end(done);
   });
 
-  it('Does not update uneditable field', function (done) {
+  it('Responds with 400 when filtering on a hidden field', function (done) {
     request(keystone.app)
-      .put('/api/users/' + this.user._id)
-      .send({ token: 'modifiedtoken'})
+      .get('/api/users?password=xxxxxxxx')
+      .expect(400, done);
+  });
+
+  it('Sorts on several fields', function (done) {
+    request(keystone.app)
+      .get('/api/users?sort=-name,_id')
+      .expect(200)
       .expect(function (res) {
-        if (res.body.token === 'modifiedtoken') { return 'Field that should not be editable was modified'; }
+        assert.equal(res.body[0].name, 'Test User 2');
       })
       .end(done);
   });
 
+  it('Responds with 400 when sorting on a hidden field', function (done) {
+    request(keystone.app)
+      .get('/api/users?sort=-password')
+      .expect(400, done);
+  });
+
+  it('Responds with 400 to repeated sort params', function (done) {
+    request(keystone.app)
+      .get('/api/users?sort=name&sort=_id')
+      .expect(400, done);
+  });
+
+  it('Ignores params that are not fields', function (done) {
+    request(keystone.app)
+      .get('/api/users?utm_source=newsletter')
+      .expect(200)
+      .expect(function (res) {
+        if (res.body.length !== 2) { return 'Unknown params should not filter'; }
+      })
+      .end(done);
+  });
+
+  it('Responds with 400 to long regular expressions', function (done) {
+    request(keystone.app)
+      .get('/api/users?name[regex]=' + new Array(66).join('a'))
+      .expect(400, done);
+  });
+
   it('Executes middleware', function (done) {
     request(keystone.app)
-      .put('/api/users/' + this.user._id)
-      .send({ name: 'Test User Updated'})
+      .get('/api/users')
       .expect(function (res) {
-        if (res.headers['update middleware'] !== 'executed') { return 'Update middleware was not executed'; }
+        if (res.headers['list middleware'] !== 'executed') { return 'List middleware was not executed'; }
       })
       .end(done);
   });
 });
 
-// Test update
-describe('PATCH /api/users/:_id', function () {
+// Test aggregate
+describe('GET /api/users/_aggregate', function () {
   this.timeout(5000);
 
   // Set up database
   beforeEach(setupDb);
   afterEach(cleanupDb);
 
-  it('Updates an existing user', function (done) {
+  it('Counts documents', function (done) {
     request(keystone.app)
-      .patch('/api/users/' + this.user._id)
-      .send({ name: 'Test User Updated'})
+      .get('/api/users/_aggregate')
       .expect(function (res) {
-        if (res.body.name !== 'Test User Updated') { return 'User was not updated'; }
+        if (res.body.length !== 1 || res.body[0].count !== 2) { return 'Users were not counted'; }
+      })
+      .end(done);
+  });
+
+  it('Groups documents and applies filters', function (done) {
+    request(keystone.app)
+      .get('/api/users/_aggregate?group=name&sort=-name&name[ne]=Test%20User%202')
+      .expect(function (res) {
+        if (res.body.length !== 1 || res.body[0].group.name !== 'Test User 1') { return 'Users were not grouped'; }
       })
       .end(done);
   });
+
+  it('Responds with 400 when grouping on a hidden field', function (done) {
+    request(keystone.app)
+      .get('/api/users/_aggregate?group=password')
+      .expect(400, done);
+  });
+
+  it('Responds with 400 when grouping or filtering on a password without restSelected', function (done) {
+    request(keystone.app)
+      .get('/api/users/_aggregate?group=pin')
+      .expect(400)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .get('/api/users?pin[regex]=' + encodeURIComponent('^\\$2a\\$10\\$a'))
+          .expect(400, done);
+      });
+  });
 });
 
-// Test delete
-describe('DELETE /api/users/:_id', function () {
+// Test show
+describe('GET /api/users/:_id', function () {
   this.timeout(5000);
 
   // Set up database
@@ -395,25 +573,1595 @@ describe('DELETE /api/users/:_id', function () {
 
   it('Responds with 404 if no document is found', function (done) {
     request(keystone.app)
-      .delete('/api/users/0')
+      .get('/api/users/0')
       .expect(404, done);
   });
 
-  it('Deletes an existing user', function (done) {
+  it('Describes missing documents', function (done) {
     request(keystone.app)
-      .delete('/api/users/' + this.user._id)
+      .get('/api/users/000000000000000000000000')
+      .expect(404)
       .expect(function (res) {
-        if (res.body.message !== 'Successfully deleted ' + User.model.collection.name.toLowerCase()) { return 'User was not deleted'; }
+        if (res.body.status !== 'missing' || res.body.message !== 'Could not find users with id 000000000000000000000000') { return 'Unexpected 404 body'; }
       })
       .end(done);
   });
 
-  it('Executes middleware', function (done) {
+  it('Contains one user object', function (done) {
     request(keystone.app)
-      .delete('/api/users/' + this.user._id)
+      .get('/api/users/' + this.user._id)
       .expect(function (res) {
-        if (res.headers['delete middleware'] !== 'executed') { return 'delete middleware was not executed'; }
+        if (res.body.name !== 'Test User 2') { return 'Could not find user'; }
+      })
+      .end(done);
+  });
+
+  it('Does not show hidden field', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id)
+      .expect(function (res) {
+        if (res.body.password) { return 'Response should not contain password'; }
       })
       .end(done);
   });
-});
\ No newline at end of file
+
+  it('Hides fields from users without the right role', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id)
+      .expect(function (res) {
+        if (res.body.secret) { return 'Response should not contain secret'; }
+      })
+      .end(done);
+  });
+
+  it('Shows fields to users with the right role', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id)
+      .set('role', 'admin')
+      .expect(function (res) {
+        if (res.body.secret !== 'xxxxxxxx') { return 'Response should contain secret'; }
+      })
+      .end(done);
+  });
+
+  it('Responds with 304 when the ETag has not changed', function (done) {
+    var url = '/api/users/' + this.user._id;
+
+    request(keystone.app)
+      .get(url)
+      .end(function (err, res) {
+        if (err) { return done(err); }
+        if (!res.headers.etag) { return done(new Error('Response should have an ETag')); }
+
+        request(keystone.app)
+          .get(url)
+          .set('If-None-Match', res.headers.etag)
+          .expect(304, done);
+      });
+  });
+
+  it('Sends other representations with their own ETag', function (done) {
+    var url = '/api/users/' + this.user._id;
+
+    request(keystone.app)
+      .get(url)
+      .end(function (err, res) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .get(url + '?populate=posts')
+          .set('If-None-Match', res.headers.etag)
+          .expect('Vary', /Accept/)
+          .expect(200, done);
+      });
+  });
+
+  it('Changes the ETag when the document is saved outside the api', function (done) {
+    var url = '/api/users/' + this.user._id;
+
+    request(keystone.app)
+      .get(url)
+      .end(function (err, res) {
+        if (err) { return done(err); }
+
+        User.model.update({ _id: res.body._id }, { $set: { name: 'Changed Elsewhere' } }, function (err) {
+          if (err) { return done(err); }
+
+          request(keystone.app)
+            .get(url)
+            .set('If-None-Match', res.headers.etag)
+            .expect(200, done);
+        });
+      });
+  });
+
+  it('Has a populated field', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id + '?populate=posts')
+      .expect(function (res) {
+        if (!res.body.posts[0].title) { return 'User does not have a populated post'; }
+      })
+      .end(done);
+  });
+
+  it('Does not show hidden field on populated relationship', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id + '?populate=posts')
+      .expect(function (res) {
+        if (res.body.posts[0].hidden) { return 'Relationship should not contain \'hidden\' field'; }
+      })
+      .end(done);
+  });
+
+  it('Executes middleware', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id)
+      .expect(function (res) {
+        if (res.headers['show middleware'] !== 'executed') { return 'Show middleware was not executed'; }
+      })
+      .end(done);
+  });
+});
+
+// Test relationship
+describe('GET api/users/:_id/posts', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Contains a list of user posts', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id + '/posts')
+      .expect(function (res) {
+        if (res.body[0].title !== 'Test Post') { return 'Could not list user\'s posts'; }
+      })
+      .end(done);
+  });
+
+  it('Selects fields on user\'s posts', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id + '/posts?select=title')
+      .expect(function (res) {
+        if (res.body[0].body) { return 'Fields that were not supposed to be selected were present'; }
+      })
+      .end(done);
+  });
+
+  it('Only lists relationships the user can see', function (done) {
+    var url = '/api/users/' + this.user._id + '/friends';
+
+    request(keystone.app)
+      .get(url)
+      .expect(403)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .get(url)
+          .set('role', 'admin')
+          .expect(200, done);
+      });
+  });
+});
+
+// Test show
+describe('GET api/posts/:slug', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Can be found by field other than _id', function (done) {
+    request(keystone.app)
+      .get('/api/posts/test-post')
+      .expect(function (res) {
+        if (res.body.title !== 'Test Post') { return 'Could not find post'; }
+      })
+      .end(done);
+  });
+
+});
+
+// Test cursor paging
+describe('GET /api/posts', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Pages with cursors', function (done) {
+    request(keystone.app)
+      .get('/api/posts')
+      .end(function (err, res) {
+        if (err) { return done(err); }
+
+        var next = /<([^>]+)>; rel="next"/.exec(res.headers.link);
+        var first = res.body[0];
+
+        if (res.body.length !== 1 || !next) { return done(new Error('First page is missing a next link')); }
+
+        request(keystone.app)
+          .get(next[1])
+          .expect(function (res) {
+            if (res.body.length !== 1 || res.body[0]._id === first._id) { return 'Next page did not continue after cursor'; }
+            if (res.headers.link.indexOf('rel="prev"') === -1) { return 'Second page is missing a prev link'; }
+          })
+          .end(done);
+      });
+  });
+
+  it('Keeps the text score out of search results', function (done) {
+    Post.model.ensureIndexes(function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/internal/posts?q=test')
+        .expect(200)
+        .expect(function (res) {
+          assert.equal(res.body.length, 2);
+          assert.ok(!res.body[0].hasOwnProperty('score'), 'Text score was sent');
+        })
+        .end(done);
+    });
+  });
+
+  it('Responds with 400 for skip on a cursor list', function (done) {
+    request(keystone.app)
+      .get('/api/posts?skip=1')
+      .expect(400, done);
+  });
+});
+
+// Test api description
+describe('GET /api/openapi.json', function () {
+  this.timeout(5000);
+
+  it('Describes registered routes', function (done) {
+    request(keystone.app)
+      .get('/api/openapi.json')
+      .expect(function (res) {
+        if (!res.body.paths['/api/users/{user}'].patch) { return 'Update route was not described'; }
+        if (!res.body.paths['/api/users/{id}/posts'].get) { return 'Relationship route was not described'; }
+        if (!res.body.paths['/api/posts/{post}'].get.parameters[0].description.match(/slug/)) { return 'Autokey path was not described'; }
+      })
+      .end(done);
+  });
+
+  it('Marks hidden and read only fields', function () {
+    var user = keystoneRest.getOpenApiSpec().components.schemas.User;
+
+    assert.equal(user.properties.password.writeOnly, true);
+    assert.equal(user.properties.token.readOnly, true);
+  });
+
+  it('Describes bulk create with create', function () {
+    var create = keystoneRest.getOpenApiSpec().paths['/api/users'].post,
+      body = create.requestBody.content['application/json'].schema;
+
+    assert.equal(create.operationId, 'createUser');
+    assert.equal(body.oneOf[0].$ref, '#/components/schemas/User');
+    assert.equal(body.oneOf[1].type, 'array');
+    assert.equal(create.responses['200'].content['application/json'].schema.oneOf[1].$ref, '#/components/schemas/BulkResult');
+  });
+});
+
+// Test create
+describe('POST /api/users', function () {
+  this.timeout(5000);
+
+  // Clean up after testing post
+  afterEach(cleanupDb);
+
+  it('Creates a new user', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'Test User 1', password: 'xxxxxxxx' })
+      .expect(function (res) {
+        if (res.body.name !== 'Test User 1') { return 'User was not created'; }
+      })
+      .end(done);
+  });
+
+  it('Responds with 422 and field messages for invalid users', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'Test User 1' })
+      .expect(422)
+      .expect(function (res) {
+        if (res.body.status !== 'invalid' || !res.body.errors.password) { return 'Validation errors were not reported per field'; }
+      })
+      .end(done);
+  });
+
+  it('Does not show hidden field', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'Test User 1', password: 'xxxxxxxx' })
+      .expect(function (res) {
+        if (res.body.password) { return 'Response should not contain password'; }
+      })
+      .end(done);
+  });
+
+  it('Accepts friendly values for Keystone field types', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'Test User 1', password: 'xxxxxxxx', fullName: 'Jane van Doe', balance: '$1,200.50', pin: '1234' })
+      .expect(200)
+      .expect(function (res) {
+        assert.deepEqual(res.body.fullName, { first: 'Jane', last: 'van Doe' });
+        assert.equal(res.body.balance, 1200.5);
+        if (res.body.pin) { return 'Response should not contain password hashes'; }
+      })
+      .end(done);
+  });
+
+  it('Responds with 400 for invalid field type values', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'Test User 1', password: 'xxxxxxxx', balance: 'lots' })
+      .expect(400, done);
+  });
+
+  it('Needs a parse or format function to register an adapter', function () {
+    assert.throws(function () {
+      keystoneRest.registerAdapter('money', {});
+    });
+  });
+
+  it('Executes middleware', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'Test User 1', password: 'xxxxxxxx' })
+      .expect(function (res) {
+        if (res.headers['create middleware'] !== 'executed') { return 'Create middleware was not executed'; }
+      })
+      .end(done);
+  });
+});
+
+// Test bulk routes
+describe('Bulk /api/users', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Creates many users and reports failures per item', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send([{ name: 'Bulk User 1', password: 'xxxxxxxx' }, { name: 'Bulk User 2' }])
+      .expect(function (res) {
+        if (res.body.succeeded !== 1 || res.body.failed !== 1) { return 'Expected one success and one failure'; }
+        if (res.body.results[0].item.name !== 'Bulk User 1') { return 'Created user was not returned'; }
+        if (!res.body.results[1].error.errors.password) { return 'Validation error was not reported'; }
+      })
+      .end(done);
+  });
+
+  it('Updates many users', function (done) {
+    request(keystone.app)
+      .patch('/api/users')
+      .send([{ id: this.user._id, changes: { name: 'Bulk Updated', token: 'modifiedtoken' } }, { id: '000000000000000000000000', changes: {} }])
+      .expect(function (res) {
+        if (res.body.results[0].item.name !== 'Bulk Updated') { return 'User was not updated'; }
+        if (res.body.results[0].item.token === 'modifiedtoken') { return 'Field that should not be editable was modified'; }
+        if (res.body.results[1].success) { return 'Missing user should be reported as a failure'; }
+      })
+      .end(done);
+  });
+
+  it('Deletes users by id', function (done) {
+    request(keystone.app)
+      .delete('/api/users?ids=' + this.user._id)
+      .expect(function (res) {
+        if (res.body.succeeded !== 1) { return 'User was not deleted'; }
+      })
+      .end(done);
+  });
+
+  it('Reports malformed ids without failing the batch', function (done) {
+    request(keystone.app)
+      .delete('/api/users?ids=malformed,' + this.user._id)
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body.succeeded, 1);
+        assert.equal(res.body.results[0].success, false);
+        assert.equal(res.body.results[0].error.status, 'malformed');
+        assert.equal(res.body.results[1].success, true);
+      })
+      .end(done);
+  });
+
+  it('Responds with 400 when deleting without ids or filters', function (done) {
+    request(keystone.app)
+      .delete('/api/users')
+      .expect(400, done);
+  });
+});
+
+// Test update
+describe('PUT /api/users/:_id', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Responds with 404 if no document is found', function (done) {
+    request(keystone.app)
+      .put('/api/users/0')
+      .send({ name: 'Test User Updated'})
+      .expect(404, done);
+  });
+
+  it('Updates an existing user', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .send({ name: 'Test User Updated'})
+      .expect(function (res) {
+        if (res.body.name !== 'Test User Updated') { return 'User was not updated'; }
+      })
+      .end(done);
+  });
+
+  it('Does not show hidden field', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .send({ name: 'Test User Updated'})
+      .expect(function (res) {
+        if (res.body.password) { return 'Response should not contain password'; }
+      })
+      .end(done);
+  });
+
+  it('Does not update uneditable field', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .send({ token: 'modifiedtoken'})
+      .expect(function (res) {
+        if (res.body.token === 'modifiedtoken') { return 'Field that should not be editable was modified'; }
+      })
+      .end(done);
+  });
+
+  it('Replaces the fields the user can edit', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .send({ name: 'Test User Updated' })
+      .expect(function (res) {
+        if (res.body.posts && res.body.posts.length) { return 'Fields missing from the body should be removed'; }
+        if (res.body.token !== 'xxxxxxxx') { return 'Uneditable fields should be kept'; }
+      })
+      .end(done);
+  });
+
+  it('Responds with 412 when If-Match is stale', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .set('If-Match', '"' + this.user._id + '-99"')
+      .send({ name: 'Test User 3' })
+      .expect(412, done);
+  });
+
+  it('Updates when If-Match is current and changes the ETag', function (done) {
+    var tag = '"' + this.user._id + '-' + this.user.__v + '"';
+
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .set('If-Match', tag)
+      .send({ name: 'Test User 3' })
+      .expect(200)
+      .expect(function (res) {
+        if (!res.headers.etag || res.headers.etag === tag) { return 'ETag should change after an update'; }
+      })
+      .end(done);
+  });
+
+  it('Only lets users with the right role update a field', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .put('/api/users/' + id)
+      .send({ secret: 'modifiedsecret' })
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .patch('/api/users/' + id)
+          .set('role', 'admin')
+          .send({ name: 'Test User Updated' })
+          .expect(function (res) {
+            if (res.body.secret !== 'xxxxxxxx') { return 'Field was updated without the right role'; }
+          })
+          .end(done);
+      });
+  });
+
+  it('Executes middleware', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id)
+      .send({ name: 'Test User Updated'})
+      .expect(function (res) {
+        if (res.headers['update middleware'] !== 'executed') { return 'Update middleware was not executed'; }
+      })
+      .end(done);
+  });
+});
+
+// Test update
+describe('PATCH /api/users/:_id', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Updates an existing user', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .send({ name: 'Test User Updated'})
+      .expect(function (res) {
+        if (res.body.name !== 'Test User Updated') { return 'User was not updated'; }
+      })
+      .end(done);
+  });
+
+  it('Applies update operators', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .send({ $inc: { balance: 5 }, $pull: { posts: String(this.user.posts[0]) } })
+      .expect(200)
+      .expect('ETag', /.+/)
+      .expect(function (res) {
+        assert.equal(res.body.balance, 5);
+        assert.equal(res.body.posts.length, 0);
+      })
+      .end(done);
+  });
+
+  it('Only applies update operators to allowed paths', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .patch('/api/users/' + id)
+      .send({ $inc: { name: 1 } })
+      .expect(400)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .patch('/api/users/' + id)
+          .send({ $unset: { token: true } })
+          .expect(403, done);
+      });
+  });
+
+  it('Reports version conflicts of update operators', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .send({ $inc: { balance: 1 }, __v: -1 })
+      .expect(409, done);
+  });
+
+  it('Responds with 400 to modifiers other than $each', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .send({ $push: { posts: { $each: [String(this.user.posts[0])], $slice: -1 } } })
+      .expect(400, done);
+  });
+
+  it('Validates the result of update operators', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .patch('/api/users/' + id)
+      .send({ $inc: { balance: -1 } })
+      .expect(422)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        User.model.findById(id, function (err, user) {
+          if (err) { return done(err); }
+          assert.equal(user.balance, undefined);
+          done();
+        });
+      });
+  });
+
+  it('Writes changes made by beforeSave with update operators', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .set('stamp', 'stamped')
+      .send({ $inc: { balance: 1 } })
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body.balance, 1);
+        assert.equal(res.body.token, 'stamped');
+      })
+      .end(done);
+  });
+
+  it('Lets one of two requests with the same If-Match apply update operators', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .get('/api/users/' + id)
+      .expect(200)
+      .end(function (err, res) {
+        var statuses = [],
+          etag = res && res.headers.etag;
+
+        if (err) { return done(err); }
+
+        // Check the outcome once both requests answered
+        var check = function () {
+          if (statuses.length < 2) { return; }
+
+          statuses.sort();
+          assert.equal(statuses[0], 200);
+          assert.ok(statuses[1] === 409 || statuses[1] === 412, 'Second request answered ' + statuses[1]);
+
+          User.model.findById(id, function (err, user) {
+            if (err) { return done(err); }
+            assert.equal(user.balance, 1);
+            done();
+          });
+        };
+
+        [1, 2].forEach(function () {
+          request(keystone.app)
+            .patch('/api/users/' + id)
+            .set('If-Match', etag)
+            .send({ $inc: { balance: 1 } })
+            .end(function (err, res) {
+              if (err) { return done(err); }
+              statuses.push(res.status);
+              check();
+            });
+        });
+      });
+  });
+
+  it('Applies a JSON Patch', function (done) {
+    var post = this.user.posts[0];
+
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([
+        { op: 'add', path: '/posts/-', value: post },
+        { op: 'replace', path: '/name', value: 'Test User Updated' }
+      ]))
+      .expect(function (res) {
+        if (res.body.posts.length !== 2) { return 'Post was not added'; }
+        if (res.body.name !== 'Test User Updated') { return 'User was not updated'; }
+      })
+      .end(done);
+  });
+
+  it('Responds with 409 when a JSON Patch test fails', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'test', path: '/name', value: 'Someone else' }]))
+      .expect(409, done);
+  });
+
+  it('Responds with 400 to malformed JSON Patch operations', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'move', from: '/name' }]))
+      .expect(400, done);
+  });
+
+  it('Removes null fields in a JSON Merge Patch', function (done) {
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .set('Content-Type', 'application/merge-patch+json')
+      .set('role', 'admin')
+      .send(JSON.stringify({ secret: null }))
+      .expect(function (res) {
+        if (res.body.secret) { return 'Field was not removed'; }
+        if (res.body.name !== 'Test User 2') { return 'Fields missing from the patch should be kept'; }
+      })
+      .end(done);
+  });
+});
+
+// Test relationship updates
+describe('Relationship updates /api/users/:_id/posts', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Creates and attaches a post', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .post('/api/users/' + id + '/posts')
+      .send({ title: 'Attached Post', body: 'Attached post body.', hidden: 'xxxxxxxx' })
+      .expect(function (res) {
+        if (res.body.title !== 'Attached Post') { return 'Post was not created'; }
+        if (res.body.hidden) { return 'Response should not contain hidden field'; }
+        if (res.headers['post create middleware'] !== 'executed') { return 'Create middleware of posts was not executed'; }
+      })
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        User.model.findById(id, function (err, user) {
+          if (err) { return done(err); }
+          assert.equal(user.posts.length, 2);
+          done();
+        });
+      });
+  });
+
+  it('Responds with 403 to creating a post when posts have no create route', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .post('/documents/users/' + id + '/posts')
+      .send({ title: 'Attached Post', body: 'Attached post body.' })
+      .expect(403)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        Post.model.count({ title: 'Attached Post' }, function (err, count) {
+          if (err) { return done(err); }
+          assert.equal(count, 0);
+          done();
+        });
+      });
+  });
+
+  it('Detaches a post', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .delete('/api/users/' + id + '/posts/' + this.user.posts[0])
+      .expect(200)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        User.model.findById(id, function (err, user) {
+          if (err) { return done(err); }
+          assert.equal(user.posts.length, 0);
+          done();
+        });
+      });
+  });
+
+  it('Responds with 404 when detaching a post that is not attached', function (done) {
+    request(keystone.app)
+      .delete('/api/users/' + this.user._id + '/posts/000000000000000000000000')
+      .expect(404, done);
+  });
+
+  it('Responds with 400 when a reorder leaves out posts', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id + '/posts')
+      .send([])
+      .expect(400, done);
+  });
+
+  it('Executes update middleware', function (done) {
+    request(keystone.app)
+      .put('/api/users/' + this.user._id + '/posts')
+      .send([String(this.user.posts[0])])
+      .expect(function (res) {
+        if (res.headers['update middleware'] !== 'executed') { return 'Update middleware was not executed'; }
+      })
+      .end(done);
+  });
+});
+
+// Test file uploads
+describe('Uploads /api/users', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  // Upload a text file as a user's avatar
+  var upload = function (id, contents, filename) {
+    return request(keystone.app)
+      .patch('/api/users/' + id)
+      .field('name', 'Uploaded User')
+      .attach('avatar', new Buffer(contents), filename || 'avatar.txt');
+  };
+
+  it('Stores uploaded files and serves them', function (done) {
+    var id = this.user._id;
+
+    upload(id, 'hello')
+      .expect(200)
+      .expect(function (res) {
+        if (res.body.name !== 'Uploaded User') { return 'Text parts were not set'; }
+        if (res.body.avatar.originalname !== 'avatar.txt' || res.body.avatar.size !== 5) { return 'File was not stored'; }
+      })
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .get('/api/users/' + id + '/avatar')
+          .expect(200)
+          .expect('Content-Type', /text\/plain/)
+          .expect('hello', done);
+      });
+  });
+
+  it('Rejects files the field does not allow', function (done) {
+    upload(this.user._id, 'hello', 'avatar.png').expect(415, done);
+  });
+
+  it('Rejects files larger than the field allows', function (done) {
+    upload(this.user._id, new Array(2000).join('x')).expect(413, done);
+  });
+
+  it('Deletes replaced files', function (done) {
+    var id = this.user._id;
+
+    upload(id, 'first').expect(200).end(function (err, res) {
+      var first;
+
+      if (err) { return done(err); }
+
+      first = path.resolve(res.body.avatar.path, res.body.avatar.filename);
+
+      upload(id, 'second').expect(200).end(function (err) {
+        if (err) { return done(err); }
+        if (fs.existsSync(first)) { return done(new Error('Replaced file was not deleted')); }
+        done();
+      });
+    });
+  });
+
+  it('Deletes stored files when the change is not saved', function (done) {
+    var dest = User.fields.avatar.options.dest,
+      files = fs.existsSync(dest) ? fs.readdirSync(dest) : [];
+
+    request(keystone.app)
+      .patch('/api/users/' + this.user._id)
+      .field('balance', '-5')
+      .attach('avatar', new Buffer('hello'), 'avatar.txt')
+      .expect(422)
+      .end(function (err) {
+        if (err) { return done(err); }
+        assert.deepEqual(fs.readdirSync(dest), files);
+        done();
+      });
+  });
+
+  it('Responds with 404 when there is no file', function (done) {
+    request(keystone.app)
+      .get('/api/users/' + this.user._id + '/avatar')
+      .expect(404, done);
+  });
+
+  it('Ignores file details sent in JSON bodies', function (done) {
+    var id = this.user._id;
+
+    request(keystone.app)
+      .patch('/api/users/' + id)
+      .send({ avatar: { path: '/etc', filename: 'passwd' } })
+      .expect(200)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .patch('/api/users/' + id)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(JSON.stringify([{ op: 'add', path: '/avatar', value: { path: '/etc', filename: 'passwd' } }]))
+          .expect(200)
+          .end(function (err) {
+            if (err) { return done(err); }
+
+            User.model.findById(id, function (err, user) {
+              if (err) { return done(err); }
+              assert.ok(!user.avatar || !user.avatar.filename);
+              done();
+            });
+          });
+      });
+  });
+
+  it('Only serves files inside the field dest', function (done) {
+    var id = this.user._id;
+
+    User.model.update({ _id: id }, { $set: { avatar: { path: '/etc', filename: 'passwd' } } }, function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/api/users/' + id + '/avatar')
+        .expect(404, done);
+    });
+  });
+
+  it('Reads multipart bodies with the limits of the fields', function (done) {
+    var app = keystone.express(),
+      id = this.user._id;
+
+    app.use(keystoneRest.registerRoutes());
+
+    request(app)
+      .patch('/api/users/' + id)
+      .attach('avatar', new Buffer(new Array(2000).join('x')), 'avatar.txt')
+      .expect(413)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        request(app)
+          .patch('/api/users/' + id)
+          .field('name', 'Uploaded User')
+          .attach('avatar', new Buffer('hello'), 'avatar.txt')
+          .expect(200)
+          .expect(function (res) {
+            if (res.body.name !== 'Uploaded User' || res.body.avatar.size !== 5) { return 'File was not stored'; }
+          })
+          .end(done);
+      });
+  });
+});
+
+// Test delete
+describe('DELETE /api/users/:_id', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Responds with 404 if no document is found', function (done) {
+    request(keystone.app)
+      .delete('/api/users/0')
+      .expect(404, done);
+  });
+
+  it('Deletes an existing user', function (done) {
+    request(keystone.app)
+      .delete('/api/users/' + this.user._id)
+      .expect(function (res) {
+        if (res.body.message !== 'Successfully deleted ' + User.model.collection.name.toLowerCase()) { return 'User was not deleted'; }
+      })
+      .end(done);
+  });
+
+  it('Executes middleware', function (done) {
+    request(keystone.app)
+      .delete('/api/users/' + this.user._id)
+      .expect(function (res) {
+        if (res.headers['delete middleware'] !== 'executed') { return 'delete middleware was not executed'; }
+      })
+      .end(done);
+  });
+});
+
+// Test soft delete
+describe('Soft delete /internal/posts', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  // Move a post to the trash without going through the api
+  var trash = function (done) {
+    Post.model.update({ slug: 'test-post' }, { deletedAt: new Date() }, done);
+  };
+
+  it('Moves deleted posts to the trash', function (done) {
+    request(keystone.app)
+      .delete('/internal/posts/test-post')
+      .expect(200)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        Post.model.findOne({ slug: 'test-post' }, function (err, post) {
+          if (err) { return done(err); }
+          assert.ok(post.deletedAt);
+          done();
+        });
+      });
+  });
+
+  it('Leaves trashed posts out of lists and show routes', function (done) {
+    trash(function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/internal/posts')
+        .expect(function (res) {
+          if (res.body.length !== 1 || res.body[0].slug === 'test-post') { return 'Trashed post was listed'; }
+        })
+        .end(function (err) {
+          if (err) { return done(err); }
+
+          request(keystone.app)
+            .get('/internal/posts/test-post')
+            .expect(404, done);
+        });
+    });
+  });
+
+  it('Leaves trashed posts out of instances added without softDelete', function (done) {
+    trash(function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/api/posts/test-post')
+        .expect(404)
+        .end(function (err) {
+          if (err) { return done(err); }
+
+          request(keystone.app)
+            .get('/documents/posts')
+            .expect(function (res) {
+              if (res.body._embedded.posts.length !== 1) { return 'Trashed post was listed'; }
+            })
+            .end(done);
+        });
+    });
+  });
+
+  it('Lists the trash', function (done) {
+    trash(function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/internal/posts/_trash')
+        .expect(function (res) {
+          if (res.body.length !== 1 || res.body[0].slug !== 'test-post') { return 'Trashed post was not listed'; }
+        })
+        .end(done);
+    });
+  });
+
+  it('Restores trashed posts', function (done) {
+    trash(function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .post('/internal/posts/test-post/restore')
+        .expect(function (res) {
+          if (res.body.slug !== 'test-post' || res.body.deletedAt) { return 'Post was not restored'; }
+        })
+        .end(function (err) {
+          if (err) { return done(err); }
+
+          request(keystone.app)
+            .get('/internal/posts/test-post')
+            .expect(200, done);
+        });
+    });
+  });
+
+  it('Responds with 404 when restoring a post that is not trashed', function (done) {
+    request(keystone.app)
+      .post('/internal/posts/test-post/restore')
+      .expect(404, done);
+  });
+
+  it('Only lets admins purge the trash', function (done) {
+    trash(function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .delete('/internal/posts/_trash/test-post')
+        .expect(403)
+        .end(function (err) {
+          if (err) { return done(err); }
+
+          request(keystone.app)
+            .delete('/internal/posts/_trash/test-post')
+            .set('role', 'admin')
+            .expect(200)
+            .end(function (err) {
+              if (err) { return done(err); }
+
+              Post.model.findOne({ slug: 'test-post' }, function (err, post) {
+                if (err) { return done(err); }
+                assert.equal(post, null);
+                done();
+              });
+            });
+        });
+    });
+  });
+});
+
+// Test history
+describe('History /api/users/:_id/_history', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  // Change a user's name through the api
+  var rename = function (id, name, done) {
+    request(keystone.app)
+      .patch('/api/users/' + id)
+      .send({ name: name })
+      .expect(200, done);
+  };
+
+  it('Records what changed, where and when', function (done) {
+    var id = this.user._id;
+
+    rename(id, 'Renamed', function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .get('/api/users/' + id + '/_history')
+        .expect(function (res) {
+          if (res.body.length !== 1 || res.body[0].action !== 'update') { return 'Update was not recorded'; }
+          if (res.body[0].route !== 'PATCH /api/users/:user' || !res.body[0].at) { return 'Route and time were not recorded'; }
+          assert.deepEqual(res.body[0].changes, [{ path: 'name', before: 'Test User 2', after: 'Renamed' }]);
+        })
+        .end(done);
+    });
+  });
+
+  it('Does not record hidden fields', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'New User', password: 'xxxxxxxx', secret: 'xxxxxxxx' })
+      .expect(200)
+      .end(function (err, res) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .get('/api/users/' + res.body._id + '/_history')
+          .expect(function (res) {
+            var paths = res.body[0].changes.map(function (change) { return change.path; });
+
+            if (res.body[0].action !== 'create') { return 'Create was not recorded'; }
+            if (paths.indexOf('name') === -1) { return 'Name was not recorded'; }
+            if (paths.indexOf('password') !== -1) { return 'Password was recorded'; }
+            if (paths.indexOf('secret') !== -1) { return 'Secret was shown to a user who cannot see it'; }
+          })
+          .end(done);
+      });
+  });
+
+  it('Does not store password hashes', function (done) {
+    request(keystone.app)
+      .post('/api/users')
+      .send({ name: 'New User', password: 'xxxxxxxx', pin: '1234' })
+      .expect(200)
+      .end(function (err, res) {
+        if (err) { return done(err); }
+
+        mongoose.model('KeystoneRestRevision').findOne({ item: res.body._id }, function (err, revision) {
+          var paths;
+
+          if (err) { return done(err); }
+
+          paths = revision.changes.map(function (change) { return change.path; });
+          assert.ok(paths.indexOf('name') !== -1);
+          assert.equal(paths.indexOf('pin'), -1);
+          done();
+        });
+      });
+  });
+
+  it('Reverts to a revision', function (done) {
+    var id = this.user._id;
+
+    rename(id, 'First', function (err) {
+      if (err) { return done(err); }
+
+      rename(id, 'Second', function (err) {
+        if (err) { return done(err); }
+
+        request(keystone.app)
+          .get('/api/users/' + id + '/_history')
+          .end(function (err, res) {
+            if (err) { return done(err); }
+
+            request(keystone.app)
+              .post('/api/users/' + id + '/_history/' + res.body[1]._id + '/revert')
+              .expect(200)
+              .expect(function (res) {
+                if (res.body.name !== 'First') { return 'User was not reverted'; }
+              })
+              .end(done);
+          });
+      });
+    });
+  });
+
+  it('Responds with 404 when reverting to an unknown revision', function (done) {
+    request(keystone.app)
+      .post('/api/users/' + this.user._id + '/_history/000000000000000000000000/revert')
+      .expect(404, done);
+  });
+});
+
+// Test the change feed
+describe('Events /api/users/_events', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  // Open the event stream, make changes once it is open and get the first event
+  var listen = function (path, headers, change, done) {
+    var server = keystone.app.listen(0, function () {
+      var req = http.get({ port: server.address().port, path: path, headers: headers }, function (res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+          var match;
+
+          body += chunk;
+          match = /(?:id: (.*)\n)?event: (.*)\ndata: (.*)\n\n/.exec(body);
+          if (!match) { return; }
+
+          req.abort();
+          server.close();
+          done(null, { id: match[1], type: match[2], data: JSON.parse(match[3]), headers: res.headers });
+        });
+
+        change();
+      });
+
+      req.on('error', done);
+    });
+  };
+
+  it('Sends changes matching the filters', function (done) {
+    listen('/api/users/_events?name=New%20User', {}, function () {
+      request(keystone.app)
+        .post('/api/users')
+        .send({ name: 'Other User', password: 'xxxxxxxx' })
+        .end(function () {
+          request(keystone.app)
+            .post('/api/users')
+            .send({ name: 'New User', password: 'xxxxxxxx' })
+            .end(function () { return; });
+        });
+    }, function (err, event) {
+      if (err) { return done(err); }
+
+      assert.equal(event.headers['content-type'], 'text/event-stream');
+      assert.equal(event.headers['show middleware'], 'executed');
+      assert.equal(event.type, 'created');
+      assert.equal(event.data.name, 'New User');
+      assert.equal(event.data.password, undefined);
+      done();
+    });
+  });
+
+  it('Only sends changes the show beforeQuery hook lets through', function (done) {
+    listen('/api/users/_events', { only: 'New User' }, function () {
+      request(keystone.app)
+        .post('/api/users')
+        .send({ name: 'Other User', password: 'xxxxxxxx' })
+        .end(function () {
+          request(keystone.app)
+            .post('/api/users')
+            .send({ name: 'New User', password: 'xxxxxxxx' })
+            .end(function () { return; });
+        });
+    }, function (err, event) {
+      if (err) { return done(err); }
+
+      assert.equal(event.data.name, 'New User');
+      done();
+    });
+  });
+
+  it('Resumes after the last event received', function (done) {
+    var id = this.user._id;
+
+    listen('/api/users/_events', {}, function () {
+      request(keystone.app).patch('/api/users/' + id).send({ name: 'First' }).end(function () { return; });
+    }, function (err, event) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .patch('/api/users/' + id)
+        .send({ name: 'Second' })
+        .expect(200)
+        .end(function (err) {
+          if (err) { return done(err); }
+
+          listen('/api/users/_events', { 'Last-Event-ID': event.id }, function () { return; }, function (err, missed) {
+            if (err) { return done(err); }
+
+            assert.equal(missed.type, 'updated');
+            assert.equal(missed.data.name, 'Second');
+            done();
+          });
+        });
+    });
+  });
+
+  it('Tells clients to reload when missed events are gone', function (done) {
+    listen('/api/users/_events', { 'Last-Event-ID': 'unknown-1' }, function () { return; }, function (err, event) {
+      if (err) { return done(err); }
+
+      assert.equal(event.type, 'reset');
+      done();
+    });
+  });
+
+  it('Rejects invalid filters', function (done) {
+    request(keystone.app)
+      .get('/api/users/_events?password=xxxxxxxx')
+      .expect(400, done);
+  });
+
+  it('Rejects regular expression filters', function (done) {
+    request(keystone.app)
+      .get('/api/users/_events?or[0][name][regex]=^New')
+      .expect(400, done);
+  });
+});
+
+// Test batch requests
+describe('POST /api/_batch', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Runs operations and keeps their failures apart', function (done) {
+    request(keystone.app)
+      .post('/api/_batch')
+      .send([
+        { method: 'get', path: '/api/users/' + this.user._id },
+        { method: 'get', path: '/api/users/000000000000000000000000' },
+        { method: 'trace', path: '/api/users' }
+      ])
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body[0].status, 200);
+        assert.equal(res.body[0].body.name, 'Test User 2');
+        if (!res.body[0].headers.etag) { return 'Headers were not returned'; }
+        assert.equal(res.body[1].status, 404);
+        assert.equal(res.body[2].status, 400);
+      })
+      .end(done);
+  });
+
+  it('Refers to earlier results in sequential mode', function (done) {
+    request(keystone.app)
+      .post('/api/_batch?sequential=true')
+      .send([
+        { method: 'get', path: '/api/posts?limit=1' },
+        { method: 'post', path: '/api/users/' + this.user._id + '/posts', body: { _id: '{{0.body.0._id}}' } },
+        { method: 'get', path: '/api/users/{{9.body._id}}' }
+      ])
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body[1].status, 200);
+        assert.equal(res.body[2].status, 424);
+      })
+      .end(done);
+  });
+
+  it('Needs sequential mode for references', function (done) {
+    request(keystone.app)
+      .post('/api/_batch')
+      .send([{ method: 'get', path: '/api/users/{{0.body._id}}' }])
+      .expect(400, done);
+  });
+
+  it('Rejects multipart operations', function (done) {
+    request(keystone.app)
+      .post('/api/_batch')
+      .send([{ method: 'post', path: '/api/users', headers: { 'Content-Type': 'multipart/form-data; boundary=x' }, body: { name: 'Test User 3' } }])
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body[0].status, 400);
+      })
+      .end(done);
+  });
+
+  it('Limits the number of operations', function (done) {
+    var operation = { method: 'get', path: '/api/users' };
+
+    request(keystone.app)
+      .post('/api/_batch')
+      .send([operation, operation, operation, operation])
+      .expect(413, done);
+  });
+});
+
+// Test lifecycle hooks
+describe('Hooks /internal/posts', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Runs beforeQuery hooks before counting', function (done) {
+    request(keystone.app)
+      .get('/internal/posts')
+      .set('only', 'test-post')
+      .expect('total', '1')
+      .expect(function (res) {
+        if (res.body.length !== 1 || res.body[0].slug !== 'test-post') { return 'Hook criteria were not applied'; }
+      })
+      .end(done);
+  });
+
+  it('Runs beforeQuery hooks on every route loading documents', function (done) {
+    Post.model.update({ slug: 'test-post' }, { deletedAt: new Date() }, function (err) {
+      if (err) { return done(err); }
+
+      request(keystone.app)
+        .delete('/internal/posts/_trash/test-post')
+        .set('role', 'admin')
+        .set('only', 'another-post')
+        .expect(404)
+        .end(function (err) {
+          if (err) { return done(err); }
+
+          Post.model.findOne({ slug: 'test-post' }, function (err, post) {
+            if (err) { return done(err); }
+            assert.ok(post);
+            done();
+          });
+        });
+    });
+  });
+
+  it('Transforms documents', function (done) {
+    request(keystone.app)
+      .get('/internal/posts/test-post')
+      .expect(function (res) {
+        if (res.body.excerpt !== 'Test') { return 'Document was not transformed'; }
+      })
+      .end(done);
+  });
+
+  it('Sends hook errors as error responses', function (done) {
+    request(keystone.app)
+      .delete('/internal/posts/test-post')
+      .set('locked', 'true')
+      .expect(403)
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        Post.model.findOne({ slug: 'test-post' }, function (err, post) {
+          if (err) { return done(err); }
+          assert.ok(!post.deletedAt);
+          done();
+        });
+      });
+  });
+});
+
+// Test serializers
+describe('Serializers', function () {
+  this.timeout(5000);
+
+  // Set up database
+  beforeEach(setupDb);
+  afterEach(cleanupDb);
+
+  it('Wraps lists in an envelope', function (done) {
+    request(keystone.app)
+      .get('/v2/posts')
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body.data.length, 1);
+        assert.equal(res.body.meta.total, 2);
+        assert.ok(/skip=1/.test(res.body.links.next));
+      })
+      .end(done);
+  });
+
+  it('Sends JSON:API documents with included relationships', function (done) {
+    request(keystone.app)
+      .get('/documents/users?populate=posts&sort=name')
+      .expect(200)
+      .expect('Content-Type', /application\/vnd\.api\+json/)
+      .expect(function (res) {
+        var user = res.body.data[0];
+
+        assert.equal(user.type, 'users');
+        assert.equal(user.attributes.name, 'Test User 1');
+        assert.ok(!user.attributes.password);
+        assert.equal(user.relationships.posts.data[0].type, 'posts');
+        assert.equal(user.links.self, '/documents/users/' + user.id);
+        assert.equal(res.body.included.length, 2);
+        assert.equal(res.body.included[0].attributes.title, 'Test Post');
+        assert.equal(res.body.meta.total, 2);
+      })
+      .end(done);
+  });
+
+  it('Creates users from JSON:API documents', function (done) {
+    request(keystone.app)
+      .post('/documents/users')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(JSON.stringify({
+        data: {
+          type: 'users',
+          attributes: { name: 'Test User 3', password: 'xxxxxxxx' },
+          relationships: { posts: { data: [{ type: 'posts', id: String(this.user.posts[0]) }] } }
+        }
+      }))
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body.data.attributes.name, 'Test User 3');
+        assert.equal(res.body.data.relationships.posts.data.length, 1);
+      })
+      .end(done);
+  });
+
+  it('Applies update operators to lists with a serializer', function (done) {
+    request(keystone.app)
+      .patch('/documents/users/' + this.user._id)
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(JSON.stringify({ $inc: { balance: 2 } }))
+      .expect(200)
+      .expect(function (res) {
+        assert.equal(res.body.data.attributes.balance, 2);
+      })
+      .end(done);
+  });
+
+  it('Creates many users from JSON:API documents', function (done) {
+    request(keystone.app)
+      .post('/documents/users')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(JSON.stringify([
+        { data: { type: 'users', attributes: { name: 'Test User 3', password: 'xxxxxxxx' } } },
+        { data: { type: 'posts', attributes: { name: 'Test User 4', password: 'xxxxxxxx' } } }
+      ]))
+      .expect(function (res) {
+        assert.equal(res.body.results[0].success, true);
+        assert.equal(res.body.results[1].success, false);
+      })
+      .end(function (err) {
+        if (err) { return done(err); }
+
+        User.model.count({ name: { $in: ['Test User 3', 'Test User 4'] } }, function (err, count) {
+          if (err) { return done(err); }
+          assert.equal(count, 1);
+          done();
+        });
+      });
+  });
+
+  it('Responds with 409 for JSON:API documents of another type', function (done) {
+    request(keystone.app)
+      .patch('/documents/users/' + this.user._id)
+      .send({ data: { type: 'posts', attributes: { name: 'Test User Updated' } } })
+      .expect(409)
+      .end(done);
+  });
+
+  it('Sends HAL documents', function (done) {
+    request(keystone.app)
+      .get('/documents/posts')
+      .expect(200)
+      .expect('Content-Type', /application\/hal\+json/)
+      .expect(function (res) {
+        assert.equal(res.body.total, 2);
+        assert.equal(res.body._links.self.href, '/documents/posts');
+        assert.equal(res.body._embedded.posts.length, 2);
+        assert.equal(res.body._embedded.posts[0]._links.self.href, '/documents/posts/' + res.body._embedded.posts[0].slug);
+      })
+      .end(done);
+  });
+});